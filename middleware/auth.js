@@ -1,9 +1,78 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SystemSettings = require('../models/SystemSettings');
+const ApiKey = require('../models/ApiKey');
+
+// Look up the active session an access token was issued for
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  if (!session || !session.isActive()) return null;
+
+  return session;
+};
+
+// When admins require 2FA, users without it can only reach /api/auth
+// (which includes the enrollment routes) until they enroll
+const isTwoFactorSetupPending = async (user, req) => {
+  if (user.twoFactorEnabled || req.originalUrl.startsWith('/api/auth/')) return false;
+
+  const settings = await SystemSettings.getSettings();
+  return settings.requireTwoFactor;
+};
+
+// Authenticate with a personal API key (X-API-Key header)
+const apiKeyAuth = async (req, res, next, rawKey) => {
+  // Keys are for automation only; account management needs a real login
+  if (req.originalUrl.startsWith('/api/auth/')) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for account management.'
+    });
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key.'
+    });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated.'
+    });
+  }
+
+  if (await isTwoFactorSetupPending(user, req)) {
+    return res.status(403).json({
+      success: false,
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'Two-factor authentication must be set up before continuing.'
+    });
+  }
+
+  await apiKey.touch(req.ip);
+
+  // Add user and API key to request object
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 // Main authentication middleware
 const auth = async (req, res, next) => {
   try {
+    const rawApiKey = req.headers['x-api-key'];
+    if (rawApiKey) {
+      return await apiKeyAuth(req, res, next, rawApiKey);
+    }
+
     let token;
 
     // Check for token in Authorization header
@@ -40,8 +109,28 @@ const auth = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Make sure the session behind the token has not been revoked
+      const session = await findActiveSession(decoded);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked.'
+        });
+      }
+
+      if (await isTwoFactorSetupPending(user, req)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing.'
+        });
+      }
+
+      // Add user and session to request object
       req.user = user;
+      req.authSession = session;
+      // Admin acting as this user through the admin console (if any)
+      req.impersonatedBy = session.impersonatedBy || null;
       next();
 
     } catch (error) {
@@ -61,9 +150,36 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Admin authentication middleware  
+// Scope check for API key requests. Logged-in users (JWT) have every scope.
+// Use after `auth`, e.g. router.get('/', auth, requireScope('apps:read'), ...)
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.hasScope(scope)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: `API key is missing the required scope: ${scope}`
+  });
+};
+
+// Block account changes that would outlive an impersonation session
+// (email, password, 2FA enrollment and recovery codes, API keys, signing
+// out every device). Use after `auth`.
+const denyImpersonation = (req, res, next) => {
+  if (!req.impersonatedBy) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'This action is not allowed while impersonating'
+  });
+};
+
+// Admin authentication middleware (never granted through API keys)
 const adminAuth = async (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+  if (req.user && req.user.role === 'admin' && !req.apiKey) {
     next();
   } else {
     return res.status(403).json({
@@ -86,9 +202,11 @@ const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id);
+        const session = await findActiveSession(decoded);
         
-        if (user && user.isActive) {
+        if (user && user.isActive && session) {
           req.user = user;
+          req.authSession = session;
         }
       } catch (error) {
         // Token invalid, but continue without user
@@ -104,4 +222,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, optionalAuth };
\ No newline at end of file
+module.exports = { auth, adminAuth, optionalAuth, requireScope, denyImpersonation };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { createRateLimiter, byIp, byEmail } = require('../utils/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Login: per IP and per targeted email address
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: 15 * MINUTE,
+  max: 50,
+  keyGenerator: byIp,
+  message: 'Too many login attempts from this IP, please try again later.'
+});
+
+const loginEmailLimiter = createRateLimiter({
+  name: 'login-email',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyGenerator: byEmail,
+  message: 'Too many login attempts for this account, please try again later.'
+});
+
+// Registration: per IP and per email address
+const registerIpLimiter = createRateLimiter({
+  name: 'register-ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  keyGenerator: byIp,
+  message: 'Too many accounts created from this IP, please try again later.'
+});
+
+const registerEmailLimiter = createRateLimiter({
+  name: 'register-email',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  keyGenerator: byEmail,
+  message: 'Too many registration attempts for this email, please try again later.'
+});
+
+// Password reset / verification emails: per IP and per email address
+const emailIpLimiter = createRateLimiter({
+  name: 'email-ip',
+  windowMs: 60 * MINUTE,
+  max: 20,
+  keyGenerator: byIp,
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+const emailLimiter = createRateLimiter({
+  name: 'email',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  keyGenerator: byEmail,
+  message: 'Too many emails requested for this address, please try again later.'
+});
+
+// Second login step (2FA codes): per IP
+const twoFactorIpLimiter = createRateLimiter({
+  name: '2fa-ip',
+  windowMs: 15 * MINUTE,
+  max: 30,
+  keyGenerator: byIp,
+  message: 'Too many two-factor attempts, please try again later.'
+});
+
+// Public screen view beacons of published apps: per IP
+const viewIpLimiter = createRateLimiter({
+  name: 'view-ip',
+  windowMs: MINUTE,
+  max: 60,
+  keyGenerator: byIp,
+  message: 'Too many view events from this IP, please try again later.'
+});
+
+// Public evaluation and data requests of published apps: per IP
+const publicAppIpLimiter = createRateLimiter({
+  name: 'public-app-ip',
+  windowMs: MINUTE,
+  max: 120,
+  keyGenerator: byIp,
+  message: 'Too many requests from this IP, please try again later.'
+});
+
+module.exports = {
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  registerEmailLimiter,
+  emailIpLimiter,
+  emailLimiter,
+  twoFactorIpLimiter,
+  viewIpLimiter,
+  publicAppIpLimiter
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Record of every action taken through the admin console
+const adminActionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+    // e.g. 'user.list', 'user.deactivate', 'user.role_change', 'user.impersonate'
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+adminActionSchema.index({ createdAt: -1 });
+adminActionSchema.index({ admin: 1, createdAt: -1 });
+adminActionSchema.index({ targetUser: 1, createdAt: -1 });
+
+// Static method to record an action for the current request
+adminActionSchema.statics.record = function(req, action, targetUser = null, details = {}) {
+  return this.create({
+    admin: req.user._id,
+    action,
+    targetUser,
+    details,
+    ip: req.ip || ''
+  });
+};
+
+module.exports = mongoose.model('AdminAction', adminActionSchema);
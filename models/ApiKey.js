@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = [
+  'apps:read',
+  'apps:write',
+  'databases:read',
+  'databases:write',
+  'records:read',
+  'records:write',
+  'audit:read',
+  'workspaces:write'
+];
+
+const KEY_PREFIX = 'abk_';
+
+// Personal API key for scripts and CI. Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot be more than 100 characters']
+  },
+  // First characters of the key, shown in lists so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Static method to hash a raw key for storage/lookup
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to create a key. Returns { apiKey, key } where key is the
+// raw value that is shown to the user once and never stored.
+apiKeySchema.statics.createKey = async function(userId, { name, scopes, expiresAt }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(key),
+    scopes,
+    expiresAt: expiresAt || null
+  });
+
+  return { apiKey, key };
+};
+
+// Instance method to check if key can still be used
+apiKeySchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+};
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to record usage (throttled to one write per minute)
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip || null;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+// Instance method to get key data without the hash
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
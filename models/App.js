@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { buildDependencyIndex, columnKey } = require('../utils/dataReferences');
+const AppPublication = require('./AppPublication');
 
 // Schema for calculation steps
 const calculationStepSchema = new mongoose.Schema({
@@ -213,6 +215,38 @@ const screenSchema = new mongoose.Schema({
   elements: [elementSchema]
 }, { _id: false });
 
+// Schema for custom domains serving a published app. A domain is served
+// only once a DNS TXT record with its verification token has been found.
+const customDomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending'
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 // Main app schema
 const appSchema = new mongoose.Schema({
   name: {
@@ -239,6 +273,10 @@ const appSchema = new mongoose.Schema({
     sparse: true, // Only unique if not null
     match: [/^[a-z0-9-]+$/, 'Subdomain can only contain lowercase letters, numbers, and hyphens']
   },
+  customDomains: {
+    type: [customDomainSchema],
+    default: []
+  },
   icon: {
     type: String, // Will store the file path or URL
     default: null
@@ -248,6 +286,12 @@ const appSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Workspace that owns the app; access is granted through workspace membership
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   screens: {
     type: [screenSchema],
     default: [{ id: 1, name: 'Home', url: '', elements: [] }] // Default screen
@@ -256,6 +300,12 @@ const appSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Id of the next new screen. Only moves forward, so ids of deleted screens
+  // (still used by publications and view stats) are never handed out again
+  nextScreenId: {
+    type: Number,
+    default: null
+  },
   settings: {
     theme: {
       type: String,
@@ -275,6 +325,12 @@ const appSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Live publication served on the subdomain/slug (the draft is never served)
+  publishedSnapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppPublication',
+    default: null
+  },
   slug: {
     type: String,
     unique: true,
@@ -292,6 +348,56 @@ const appSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Template catalog: templates can be instantiated by workspace members
+  // ('workspace') or by every user ('public')
+  isTemplate: {
+    type: Boolean,
+    default: false
+  },
+  templateVisibility: {
+    type: String,
+    enum: ['workspace', 'public'],
+    default: 'workspace'
+  },
+  templateCategory: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Template category cannot be more than 50 characters'],
+    default: ''
+  },
+  templateUses: {
+    type: Number,
+    default: 0
+  },
+  // App this one was duplicated or instantiated from
+  createdFrom: {
+    app: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'App',
+      default: null
+    },
+    kind: {
+      type: String,
+      enum: ['duplicate', 'template', null],
+      default: null
+    }
+  },
+  // Databases, tables and columns ("tableId:column") the content uses;
+  // maintained on save so destructive schema changes can find dependents
+  dataDependencies: {
+    databases: {
+      type: [String],
+      default: []
+    },
+    tables: {
+      type: [String],
+      default: []
+    },
+    columns: {
+      type: [String],
+      default: []
+    }
+  },
   // NEW: Store all calculations in app data
   calculations: {
     type: Map,
@@ -337,9 +443,16 @@ const appSchema = new mongoose.Schema({
 
 // Index for better query performance
 appSchema.index({ owner: 1, createdAt: -1 });
+appSchema.index({ workspace: 1, updatedAt: -1 });
 appSchema.index({ slug: 1 });
 appSchema.index({ subdomain: 1 });
+appSchema.index({ 'customDomains.domain': 1 });
 appSchema.index({ isPublic: 1, isPublished: 1 });
+appSchema.index({ isPublic: 1, isPublished: 1, views: -1 });
+appSchema.index({ isTemplate: 1, templateVisibility: 1, templateCategory: 1 });
+appSchema.index({ 'dataDependencies.databases': 1 });
+appSchema.index({ 'dataDependencies.tables': 1 });
+appSchema.index({ 'dataDependencies.columns': 1 });
 
 // Generate slug before saving if published
 appSchema.pre('save', function(next) {
@@ -357,19 +470,106 @@ appSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to increment views
+// Keep the screen id counter ahead of every screen the app has had
+appSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('screens')) {
+    const highest = (this.screens || []).reduce((max, screen) => Math.max(max, screen.id || 0), 0);
+    this.nextScreenId = Math.max(this.nextScreenId || 1, highest + 1);
+  }
+  next();
+});
+
+// Keep the dependency index in sync with the content
+appSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('screens') || this.isModified('calculations')) {
+    const plain = this.toObject({ flattenMaps: true });
+    this.dataDependencies = buildDependencyIndex({
+      screens: plain.screens || [],
+      calculations: plain.calculations || {}
+    });
+  }
+  next();
+});
+
+// Instance method to increment views (atomic, does not touch updatedAt)
 appSchema.methods.incrementViews = function() {
   this.views += 1;
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } }, { timestamps: false });
 };
 
-// Static method to find public apps
-appSchema.statics.findPublicApps = function(limit = 10, skip = 0) {
-  return this.find({ isPublic: true, isPublished: true })
+// Query for public, published apps (optional case-insensitive search)
+const publicAppsQuery = (search) => {
+  const query = { isPublic: true, isPublished: true };
+  if (search) {
+    const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { description: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+  return query;
+};
+
+// Static method to find public apps, sorted by 'recent' (default) or 'popular'
+appSchema.statics.findPublicApps = function(limit = 10, skip = 0, { search = '', sort = 'recent' } = {}) {
+  const order = sort === 'popular'
+    ? { views: -1, publishedAt: -1 }
+    : { publishedAt: -1, createdAt: -1 };
+
+  return this.find(publicAppsQuery(search))
     .populate('owner', 'name')
-    .sort({ createdAt: -1 })
+    .sort(order)
     .limit(limit)
     .skip(skip);
 };
 
+// Static method to count public apps (same filter as findPublicApps)
+appSchema.statics.countPublicApps = function(search = '') {
+  return this.countDocuments(publicAppsQuery(search));
+};
+
+// Static method to find apps that use a table (or one of its columns)
+appSchema.statics.findUsingTable = function(tableId, column = null) {
+  const query = column
+    ? { 'dataDependencies.columns': columnKey(String(tableId), column) }
+    : { 'dataDependencies.tables': String(tableId) };
+  return this.findDependents(query);
+};
+
+// Apps using a database (it or any of its tables), see findDependents
+appSchema.statics.findUsingDatabase = function(database) {
+  return this.findDependents({
+    $or: [
+      { 'dataDependencies.databases': database._id.toString() },
+      { 'dataDependencies.tables': { $in: database.tables.map(table => table._id.toString()) } }
+    ]
+  });
+};
+
+// Apps whose draft or live publication match a query on dataDependencies.
+// Returns plain apps (name workspace isPublished dataDependencies) with the
+// dependencies of draft and live publication merged.
+appSchema.statics.findDependents = async function(query) {
+  const publications = await AppPublication.find(query).select('_id dataDependencies').lean();
+  const apps = await this.find({
+    $or: [
+      query,
+      { isPublished: true, publishedSnapshot: { $in: publications.map(publication => publication._id) } }
+    ]
+  }).select('name workspace isPublished publishedSnapshot dataDependencies').lean();
+
+  const liveById = new Map(publications.map(publication => [String(publication._id), publication]));
+  return apps.map(app => {
+    const live = app.isPublished && liveById.get(String(app.publishedSnapshot));
+    if (!live) return app;
+
+    const draft = app.dataDependencies || {};
+    const merged = {};
+    ['databases', 'tables', 'columns'].forEach(key => {
+      merged[key] = [...new Set([...(draft[key] || []), ...(live.dataDependencies[key] || [])])];
+    });
+    return { ...app, dataDependencies: merged };
+  });
+};
+
 module.exports = mongoose.model('App', appSchema);
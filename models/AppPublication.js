@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { buildDependencyIndex } = require('../utils/dataReferences');
+
+// Publications kept per app; the live one is never pruned
+const RETENTION_COUNT = parseInt(process.env.APP_PUBLICATION_RETENTION || '20', 10);
+
+// Immutable snapshot of an app's content as served to end users.
+// Publishing freezes the current draft; rollbacks re-publish an older one.
+const appPublicationSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Sequential per app: 1, 2, 3, ...
+  number: {
+    type: Number,
+    required: true
+  },
+  // Draft version the content was taken from
+  version: {
+    type: Number,
+    required: true
+  },
+  screens: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  homeScreenId: {
+    type: Number,
+    default: 1
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  calculations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Databases, tables and columns the content uses (see App.dataDependencies)
+  dataDependencies: {
+    databases: {
+      type: [String],
+      default: []
+    },
+    tables: {
+      type: [String],
+      default: []
+    },
+    columns: {
+      type: [String],
+      default: []
+    }
+  },
+  // Publication this one re-publishes (rollbacks)
+  rolledBackFrom: {
+    type: Number,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'publishedAt', updatedAt: false }
+});
+
+// Index for better query performance
+appPublicationSchema.index({ app: 1, number: -1 }, { unique: true });
+appPublicationSchema.index({ 'dataDependencies.databases': 1 });
+appPublicationSchema.index({ 'dataDependencies.tables': 1 });
+appPublicationSchema.index({ 'dataDependencies.columns': 1 });
+
+// Publications cannot be changed once written
+appPublicationSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('App publications are immutable'));
+  }
+  next();
+});
+
+// Attempts at allocating a publication number when publishes race
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Static method to store a new publication of `content` for the app
+appPublicationSchema.statics.publish = async function(app, content, userId, { version, rolledBackFrom = null } = {}) {
+  let publication = null;
+
+  // Numbers are max + 1; a concurrent publish taking the same number hits the
+  // unique index and this one takes the next
+  for (let attempt = 1; !publication; attempt++) {
+    const latest = await this.findOne({ app: app._id }).select('number').sort({ number: -1 });
+
+    try {
+      publication = await this.create({
+        app: app._id,
+        workspace: app.workspace,
+        number: latest ? latest.number + 1 : 1,
+        version: version !== undefined ? version : app.version,
+        screens: content.screens,
+        homeScreenId: content.homeScreenId,
+        settings: content.settings,
+        calculations: content.calculations,
+        dataDependencies: buildDependencyIndex({
+          screens: content.screens || [],
+          calculations: content.calculations || {}
+        }),
+        rolledBackFrom,
+        publishedBy: userId || null
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+
+  // Keep the newest publications only
+  const expired = await this.find({ app: app._id })
+    .select('_id')
+    .sort({ number: -1 })
+    .skip(RETENTION_COUNT);
+  if (expired.length > 0) {
+    await this.deleteMany({ _id: { $in: expired.map(p => p._id) } });
+  }
+
+  return publication;
+};
+
+module.exports = mongoose.model('AppPublication', appPublicationSchema);
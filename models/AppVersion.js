@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Retention policy: keep at most this many snapshots per app, and optionally
+// drop snapshots older than the max age. The newest snapshot is always kept.
+const RETENTION_COUNT = parseInt(process.env.APP_VERSION_RETENTION || '50', 10);
+const RETENTION_MAX_AGE_DAYS = parseInt(process.env.APP_VERSION_MAX_AGE_DAYS || '0', 10);
+
+// Immutable snapshot of an app's content at a given version
+const appVersionSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  screens: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  homeScreenId: {
+    type: Number,
+    default: 1
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  calculations: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // What produced the snapshot
+  source: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline'],
+    default: 'update'
+  },
+  // Version this snapshot was restored from (source 'restore')
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+appVersionSchema.index({ app: 1, version: -1 }, { unique: true });
+
+// Snapshots cannot be changed once written
+appVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('App versions are immutable'));
+  }
+  next();
+});
+
+// Plain copy of the versioned content of an app document
+const captureContent = (app) => {
+  const plain = app.toObject({ flattenMaps: true });
+  return {
+    screens: plain.screens || [],
+    homeScreenId: plain.homeScreenId,
+    settings: plain.settings || {},
+    calculations: plain.calculations || {}
+  };
+};
+
+// Static method to store a snapshot of the app at its current version
+appVersionSchema.statics.snapshot = async function(app, userId, { source = 'update', restoredFrom = null } = {}) {
+  const version = await this.create({
+    app: app._id,
+    workspace: app.workspace,
+    version: app.version,
+    ...captureContent(app),
+    source,
+    restoredFrom,
+    createdBy: userId || null
+  });
+
+  await this.applyRetention(app._id);
+  return version;
+};
+
+// Static method to snapshot the current state if that version has none yet
+// (apps created before version history existed)
+appVersionSchema.statics.ensureSnapshot = async function(app, userId) {
+  await this.updateOne(
+    { app: app._id, version: app.version },
+    {
+      $setOnInsert: {
+        workspace: app.workspace,
+        ...captureContent(app),
+        source: 'baseline',
+        createdBy: userId || null,
+        createdAt: new Date()
+      }
+    },
+    { upsert: true, timestamps: false }
+  );
+};
+
+// Static method to prune snapshots outside the retention policy
+appVersionSchema.statics.applyRetention = async function(appId) {
+  const versions = await this.find({ app: appId })
+    .select('version createdAt')
+    .sort({ version: -1 });
+
+  const cutoff = RETENTION_MAX_AGE_DAYS > 0
+    ? Date.now() - RETENTION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+    : null;
+
+  const expired = versions.filter((version, index) => {
+    if (index === 0) return false;
+    if (index >= RETENTION_COUNT) return true;
+    return cutoff !== null && version.createdAt.getTime() < cutoff;
+  });
+
+  if (expired.length > 0) {
+    await this.deleteMany({ _id: { $in: expired.map(v => v._id) } });
+  }
+
+  return expired.length;
+};
+
+const AppVersion = mongoose.model('AppVersion', appVersionSchema);
+AppVersion.captureContent = captureContent;
+AppVersion.RETENTION_COUNT = RETENTION_COUNT;
+AppVersion.RETENTION_MAX_AGE_DAYS = RETENTION_MAX_AGE_DAYS;
+
+module.exports = AppVersion;
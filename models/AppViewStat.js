@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashVisitor } = require('../utils/hyperLogLog');
+
+// Days daily view stats are kept
+const RETENTION_DAYS = parseInt(process.env.APP_VIEW_STATS_RETENTION_DAYS || '400', 10);
+
+// Daily view counter of a published app (screenId null) or one of its screens.
+// `visitors` is a HyperLogLog sketch for unique visitor estimates.
+const appViewStatSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  screenId: {
+    type: Number,
+    default: null
+  },
+  // UTC day, e.g. '2024-05-01'
+  day: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  visitors: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+});
+
+// Index for better query performance
+appViewStatSchema.index({ app: 1, screenId: 1, day: 1 }, { unique: true });
+appViewStatSchema.index({ date: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Anonymous visitor id: an explicit client id if sent, otherwise IP + user
+// agent. It only feeds the sketch and is never stored.
+const getVisitorId = (req) => {
+  const explicit = req.get('X-Visitor-Id');
+  const raw = explicit ? `id:${explicit.slice(0, 200)}` : `ip:${req.ip}|${req.get('User-Agent') || ''}`;
+  return crypto.createHash('sha256').update(raw).digest('hex');
+};
+
+// Static method to count a view of the app (screenId null) or of a screen
+appViewStatSchema.statics.recordView = async function(appId, screenId, req) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const { index, rank } = hashVisitor(getVisitorId(req));
+
+  await this.updateOne(
+    { app: appId, screenId: screenId === undefined ? null : screenId, day },
+    {
+      $inc: { views: 1 },
+      $max: { [`visitors.${index}`]: rank },
+      $setOnInsert: { date: new Date(`${day}T00:00:00.000Z`) }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('AppViewStat', appViewStatSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Record of a mutating builder action (apps, databases, auth)
+const auditEventSchema = new mongoose.Schema({
+  // User who performed the action (null for anonymous requests, e.g. forgot-password)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Admin acting as `actor` through impersonation
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+    // e.g. 'app.update', 'database.table.delete', 'auth.login'
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['app', 'screen', 'element', 'database', 'table', 'column', 'record', 'user', 'session', 'api_key', 'settings'],
+      required: true
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  // Scope references used for filtering
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    default: null
+  },
+  database: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Database',
+    default: null
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Short description of what changed, e.g. { name: { from, to } }
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditEventSchema.index({ app: 1, createdAt: -1 });
+auditEventSchema.index({ database: 1, createdAt: -1 });
+auditEventSchema.index({ workspace: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
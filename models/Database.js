@@ -46,6 +46,12 @@ const databaseSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Workspace that owns the database; access is granted through workspace membership
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   // Store only table structure metadata, not actual data
   tables: [tableSchema],
   // MongoDB database name for the actual user data
@@ -65,7 +71,7 @@ const databaseSchema = new mongoose.Schema({
 
 // Index for better query performance
 databaseSchema.index({ owner: 1, createdAt: -1 });
-databaseSchema.index({ owner: 1, name: 1 }, { unique: true });
+databaseSchema.index({ workspace: 1, name: 1 }, { unique: true });
 databaseSchema.index({ mongoDbName: 1 }, { unique: true });
 
 // Generate MongoDB database name (max 38 bytes for MongoDB)
@@ -218,13 +224,56 @@ databaseSchema.methods.removeColumn = async function(tableId, columnId) {
   }
 };
 
+// Instance method to run `callback(db)` against the user's MongoDB database
+// and close the connection afterwards
+databaseSchema.methods.withUserDb = async function(callback) {
+  const userConnection = this.getUserConnection();
+  try {
+    // Wait for connection to be ready
+    await new Promise((resolve, reject) => {
+      userConnection.once('open', resolve);
+      userConnection.once('error', reject);
+      if (userConnection.readyState === 1) resolve();
+    });
+
+    return await callback(userConnection.db);
+  } finally {
+    await userConnection.close();
+  }
+};
+
+// Instance method to get storage usage of the user's MongoDB database
+databaseSchema.methods.getStorageStats = async function() {
+  const userConnection = this.getUserConnection();
+  try {
+    // Wait for connection to be ready
+    await new Promise((resolve, reject) => {
+      userConnection.once('open', resolve);
+      userConnection.once('error', reject);
+      if (userConnection.readyState === 1) resolve();
+    });
+
+    const stats = await userConnection.db.stats();
+    return {
+      collections: stats.collections,
+      objects: stats.objects,
+      dataSize: stats.dataSize,
+      storageSize: stats.storageSize,
+      indexSize: stats.indexSize
+    };
+  } finally {
+    await userConnection.close();
+  }
+};
+
 // Static method to create user database
-databaseSchema.statics.createUserDatabase = async function(userId, databaseName) {
+databaseSchema.statics.createUserDatabase = async function(userId, databaseName, workspaceId) {
   try {
     // Create database metadata
     const database = new this({
       name: databaseName,
       owner: userId,
+      workspace: workspaceId,
       tables: []
     });
     
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Record of a failed sign-in attempt (kept for 90 days)
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['unknown_user', 'invalid_password', 'invalid_2fa_code', 'locked', 'inactive', 'sso_rejected'],
+    required: true
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Static method to record a failed attempt for the current request
+loginAttemptSchema.statics.recordFailure = function(req, { email, user = null, reason }) {
+  return this.create({
+    email,
+    user,
+    reason,
+    ip: req.ip || '',
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500)
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization request (state -> PKCE verifier + nonce).
+// Kept server-side so the code verifier never travels through the browser.
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Hash of the value in the cookie of the browser that started the login;
+  // the callback must come from that browser (prevents login CSRF)
+  browserBindingHash: {
+    type: String,
+    required: true
+  },
+  // Client path to return to after login
+  redirectTo: {
+    type: String,
+    default: '/'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB purge abandoned login attempts
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Global, admin-managed settings (single document)
+const systemSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Require every user to enroll in two-factor authentication
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+// Static method to get settings (cached, since auth checks run on every request)
+systemSettingsSchema.statics.getSettings = async function() {
+  if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings;
+  }
+
+  cachedSettings = await this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true }
+  );
+  cachedAt = Date.now();
+  return cachedSettings;
+};
+
+// Static method to update settings
+systemSettingsSchema.statics.updateSettings = async function(updates, userId) {
+  cachedSettings = await this.findOneAndUpdate(
+    { key: 'global' },
+    { ...updates, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+  cachedAt = Date.now();
+  return cachedSettings;
+};
+
+module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Progressive lockout: after MAX_FAILED_LOGINS failures the account is locked
+// for 1 minute, doubling with every further failure up to MAX_LOCK_MINUTES
+const MAX_FAILED_LOGINS = 5;
+const MAX_LOCK_MINUTES = 60;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -36,11 +45,104 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address waiting for verification; becomes `email` once verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Single-use tokens are stored hashed, never in plain text
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, moved to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Linked external identities (OpenID Connect sign-in)
+  identities: [{
+    issuer: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  // Account deletion (purged with all apps/databases after the grace period)
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt automatically
 });
 
+// Index for the account purge job
+userSchema.index({ deletionScheduledFor: 1 });
+userSchema.index({ 'identities.issuer': 1, 'identities.subject': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified
@@ -61,10 +163,129 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Static method to hash a single-use token for storage/lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance method to create email verification token (valid 24 hours)
+// Returns the raw token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to create password reset token (valid 1 hour)
+// Returns the raw token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to check a TOTP code against the confirmed secret
+// (requires +twoFactorSecret +twoFactorLastUsedStep to be selected)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+  if (step === null) return false;
+  if (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep) return false;
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Instance method to create a fresh set of recovery codes
+// Returns the raw codes; only their hashes are stored on the user
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  this.twoFactorRecoveryCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a recovery code. The code is removed in one
+// atomic update so parallel logins cannot both redeem it.
+userSchema.methods.useRecoveryCode = async function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const hash = this.constructor.hashToken(normalized);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } },
+    { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+  );
+  if (!updated) return false;
+
+  // Already stored; a later save() must not write the list back
+  this.twoFactorRecoveryCodes = updated.twoFactorRecoveryCodes;
+  this.unmarkModified('twoFactorRecoveryCodes');
+  return true;
+};
+
+// Instance method to turn off two-factor authentication
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorLastUsedStep = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+};
+
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Instance method to count a failed login and lock the account if needed.
+// The counter is incremented atomically so parallel attempts all count.
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!updated) return this;
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+
+  if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const lockMinutes = Math.min(2 ** (updated.failedLoginAttempts - MAX_FAILED_LOGINS), MAX_LOCK_MINUTES);
+    this.lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    // Never shorten a lock set by a parallel attempt
+    await this.constructor.updateOne({ _id: this._id }, { $max: { lockUntil: this.lockUntil } });
+  }
+
+  return this;
+};
+
+// Instance method to clear lockout state after a successful login
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockUntil = null;
+};
+
 // Instance method to get user data without sensitive info
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpire;
+  delete user.resetPasswordToken;
+  delete user.resetPasswordExpire;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastUsedStep;
+  delete user.twoFactorRecoveryCodes;
   return user;
 };
 
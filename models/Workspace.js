@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Roles from least to most privileged
+const WORKSPACE_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+// Schema for workspace members
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for pending invitations (token stored hashed)
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'admin'],
+    default: 'viewer'
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Workspace (team) that owns apps and databases
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot be more than 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Every user gets one personal workspace, which cannot be deleted
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invitations.tokenHash': 1 });
+workspaceSchema.index({ owner: 1, isPersonal: 1 });
+
+// Static helper to compare roles
+workspaceSchema.statics.hasRole = function(role, minRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Static method to hash an invitation token for storage/lookup
+workspaceSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance method to get a member's role (null if not a member)
+workspaceSchema.methods.getMemberRole = function(userId) {
+  // Works with both plain and populated member.user
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to create an invitation. Returns the raw token.
+workspaceSchema.methods.createInvitation = function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Replace any pending invitation for the same email
+  this.invitations = this.invitations.filter(inv => inv.email !== email.toLowerCase());
+  this.invitations.push({
+    email,
+    role,
+    invitedBy,
+    tokenHash: this.constructor.hashToken(token),
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Static method to get the user's personal workspace, creating it if needed
+workspaceSchema.statics.getPersonalWorkspace = async function(userId) {
+  const existing = await this.findOne({ owner: userId, isPersonal: true });
+  if (existing) return existing;
+
+  return this.create({
+    name: 'Personal',
+    owner: userId,
+    isPersonal: true,
+    members: [{ user: userId, role: 'owner' }]
+  });
+};
+
+// Static method to get ids of all workspaces the user belongs to
+// (optionally only those where the user has at least `minRole`)
+workspaceSchema.statics.getAccessibleIds = async function(userId, minRole = 'viewer') {
+  const workspaces = await this.find({ 'members.user': userId }).select('members');
+  return workspaces
+    .filter(ws => this.hasRole(ws.getMemberRole(userId), minRole))
+    .map(ws => ws._id);
+};
+
+// Static method to get the user's role in a workspace (null if no access)
+workspaceSchema.statics.getUserRole = async function(workspaceId, userId) {
+  if (!workspaceId) return null;
+  const workspace = await this.findById(workspaceId).select('members');
+  return workspace ? workspace.getMemberRole(userId) : null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,545 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const App = require('../models/App');
+const Database = require('../models/Database');
+const Session = require('../models/Session');
+const AdminAction = require('../models/AdminAction');
+const { auth, adminAuth } = require('../middleware/auth');
+const { issueImpersonationToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+const MAX_IMPERSONATION_MINUTES = 60;
+
+// Helper to escape user input used in a regex search
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to load the target user or send 404
+const findTargetUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (user) return user;
+  } catch (error) {
+    if (error.name !== 'CastError') throw error;
+  }
+
+  res.status(404).json({
+    success: false,
+    message: 'User not found'
+  });
+  return null;
+};
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Private/Admin
+router.get('/users', [
+  auth,
+  adminAuth,
+  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, search = '', role, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (search) {
+      const pattern = escapeRegex(String(search));
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip(skip);
+
+    const total = await User.countDocuments(filter);
+
+    await AdminAction.record(req, 'user.list', null, { search, role, isActive, page: parseInt(page) });
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get user details
+// @access  Private/Admin
+router.get('/users/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [appCount, databaseCount, activeSessions] = await Promise.all([
+      App.countDocuments({ owner: user._id }),
+      Database.countDocuments({ owner: user._id, status: 'active' }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    await AdminAction.record(req, 'user.view', user._id);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        appCount,
+        databaseCount,
+        activeSessions
+      }
+    });
+  } catch (error) {
+    console.error('Admin fetch user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Activate or deactivate user account
+// @access  Private/Admin
+router.put('/users/:id/status', [
+  auth,
+  adminAuth,
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const previous = user.isActive;
+    user.isActive = req.body.isActive;
+    await user.save();
+
+    // A deactivated user must not keep any session
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    await AdminAction.record(req, user.isActive ? 'user.activate' : 'user.deactivate', user._id, {
+      from: previous,
+      to: user.isActive
+    });
+
+    res.json({
+      success: true,
+      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    console.error('Admin update status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user status'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change user role
+// @access  Private/Admin
+router.put('/users/:id/role', [
+  auth,
+  adminAuth,
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be user or admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const previous = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    await AdminAction.record(req, 'user.role_change', user._id, {
+      from: previous,
+      to: user.role
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating user role'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear login lockout of a user
+// @access  Private/Admin
+router.post('/users/:id/unlock', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previous = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil };
+    user.resetFailedLogins();
+    await user.save();
+
+    await AdminAction.record(req, 'user.unlock', user._id, previous);
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unlocking user'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/apps
+// @desc    List apps created by a user
+// @access  Private/Admin
+router.get('/users/:id/apps', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const apps = await App.find({ owner: user._id })
+      .sort({ updatedAt: -1 })
+      .select('name description appType subdomain workspace createdAt updatedAt isPublished views version');
+
+    await AdminAction.record(req, 'user.apps_view', user._id);
+
+    res.json({
+      success: true,
+      data: apps
+    });
+  } catch (error) {
+    console.error('Admin fetch user apps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user apps'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/databases
+// @desc    List databases created by a user
+// @access  Private/Admin
+router.get('/users/:id/databases', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const databases = await Database.find({ owner: user._id })
+      .sort({ updatedAt: -1 })
+      .select('name workspace status mongoDbName tables createdAt updatedAt');
+
+    await AdminAction.record(req, 'user.databases_view', user._id);
+
+    res.json({
+      success: true,
+      data: databases
+    });
+  } catch (error) {
+    console.error('Admin fetch user databases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching user databases'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id/storage
+// @desc    Storage usage of a user (app documents + per-user MongoDB databases)
+// @access  Private/Admin
+router.get('/users/:id/storage', auth, adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [appStats] = await App.aggregate([
+      { $match: { owner: user._id } },
+      { $group: { _id: null, count: { $sum: 1 }, size: { $sum: { $bsonSize: '$$ROOT' } } } }
+    ]);
+
+    const databases = await Database.find({ owner: user._id, status: 'active' });
+    const databaseStats = [];
+    for (const database of databases) {
+      try {
+        databaseStats.push({
+          id: database._id,
+          name: database.name,
+          ...(await database.getStorageStats())
+        });
+      } catch (error) {
+        console.error(`Storage stats error for ${database.mongoDbName}:`, error.message);
+        databaseStats.push({ id: database._id, name: database.name, error: 'Unavailable' });
+      }
+    }
+
+    const sum = (field) => databaseStats.reduce((total, stats) => total + (stats[field] || 0), 0);
+
+    await AdminAction.record(req, 'user.storage_view', user._id);
+
+    res.json({
+      success: true,
+      data: {
+        apps: {
+          count: appStats ? appStats.count : 0,
+          size: appStats ? appStats.size : 0
+        },
+        databases: databaseStats,
+        totals: {
+          dataSize: sum('dataSize') + (appStats ? appStats.size : 0),
+          storageSize: sum('storageSize'),
+          indexSize: sum('indexSize')
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin storage usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching storage usage'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a time-limited token to act as a user for support
+// @access  Private/Admin
+router.post('/users/:id/impersonate', [
+  auth,
+  adminAuth,
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A reason between 3 and 500 characters is required'),
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: MAX_IMPERSONATION_MINUTES })
+    .withMessage(`minutes must be between 1 and ${MAX_IMPERSONATION_MINUTES}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Impersonation must always be started from a real admin login
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot impersonate while impersonating'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === 'admin' || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active, non-admin users can be impersonated'
+      });
+    }
+
+    const minutes = parseInt(req.body.minutes, 10) || 15;
+    const { token, session } = await issueImpersonationToken(user, req.user, minutes, req.body.reason, req);
+
+    await AdminAction.record(req, 'user.impersonate', user._id, {
+      sessionId: session._id,
+      minutes,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: `Impersonating ${user.email} for ${minutes} minute(s)`,
+      data: {
+        token,
+        sessionId: session._id,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Admin impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting impersonation'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/impersonations/:sessionId
+// @desc    End an impersonation session early
+// @access  Private/Admin
+router.delete('/impersonations/:sessionId', auth, adminAuth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      impersonatedBy: { $ne: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('impersonation_ended');
+    }
+
+    await AdminAction.record(req, 'user.impersonate_end', session.user, { sessionId: session._id });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('Admin end impersonation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending impersonation'
+    });
+  }
+});
+
+// @route   GET /api/admin/actions
+// @desc    List recorded admin actions
+// @access  Private/Admin
+router.get('/actions', [
+  auth,
+  adminAuth,
+  query('admin').optional().isMongoId().withMessage('Invalid admin ID'),
+  query('targetUser').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, admin, targetUser, action } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (admin) filter.admin = admin;
+    if (targetUser) filter.targetUser = targetUser;
+    if (action) filter.action = String(action);
+
+    const actions = await AdminAction.find(filter)
+      .populate('admin', 'name email')
+      .populate('targetUser', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip(skip);
+
+    const total = await AdminAction.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: actions,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin fetch actions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching admin actions'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { auth, denyImpersonation } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// @route   GET /api/auth/api-keys
+// @desc    Get all API keys of current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('Fetch API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create API key (the key itself is only returned in this response)
+// @access  Private
+router.post('/', [
+  auth,
+  denyImpersonation,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('API key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be any of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await ApiKey.createKey(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await recordAudit(req, {
+      action: 'auth.api_key.create',
+      target: { type: 'api_key', id: apiKey._id.toString(), name: apiKey.name },
+      diff: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke API key
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    await recordAudit(req, {
+      action: 'auth.api_key.revoke',
+      target: { type: 'api_key', id: apiKey._id.toString(), name: apiKey.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const Database = require('../models/Database');
+const Workspace = require('../models/Workspace');
+const { auth, requireScope } = require('../middleware/auth');
+const { publicAppIpLimiter } = require('../middleware/rateLimits');
+const { findWithWorkspaceRole, sendForbidden } = require('../utils/workspaceAccess');
+const { getLivePublication } = require('../utils/publishedApp');
+const {
+  findCalculation,
+  createEvaluationContext,
+  evaluateCalculation,
+  renderCalculationTokens
+} = require('../utils/calculationEngine');
+const { resolveScreen } = require('../utils/conditionEngine');
+
+const router = express.Router();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Evaluation state for app content. Calculations only read databases of the
+// app's own workspace, whoever runs them.
+const createStateFor = (app, content, context) => createEvaluationContext({
+  content,
+  context,
+  loadDatabase: (databaseId) => Database.findOne({ _id: databaseId, workspace: app.workspace, status: 'active' })
+});
+
+// Load the app for a signed-in member with at least the viewer role; also
+// requires the records:read scope for API keys since calculations read records
+const loadAppForEvaluation = async (req, res) => {
+  if (req.apiKey && !req.apiKey.hasScope('records:read')) {
+    res.status(403).json({
+      success: false,
+      message: 'API key is missing the required scope: records:read'
+    });
+    return null;
+  }
+
+  const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
+
+  if (!app) {
+    res.status(404).json({
+      success: false,
+      message: 'App not found'
+    });
+    return null;
+  }
+
+  if (!Workspace.hasRole(role, 'viewer')) {
+    sendForbidden(res, 'viewer');
+    return null;
+  }
+
+  return app;
+};
+
+// Plain content of the live publication (what end users see)
+const getPublishedContent = async (app) => (await getLivePublication(app)).toObject();
+
+// Content to evaluate: the draft, or the live publication with `published: true`
+const getContent = async (app, published) => {
+  if (!published) return AppVersion.captureContent(app);
+  if (!app.isPublished) return null;
+  return getPublishedContent(app);
+};
+
+// Evaluate one calculation of `content` and send the result. The per-step
+// trace is for builders only (`includeSteps`), since intermediate values may
+// hold data the result does not show.
+const sendEvaluation = async (req, res, app, content, { includeSteps = true } = {}) => {
+  const context = req.body.context === undefined ? {} : req.body.context;
+  if (!isPlainObject(context)) {
+    return res.status(400).json({
+      success: false,
+      message: 'context must be an object'
+    });
+  }
+
+  const found = findCalculation(content, req.params.calculationId);
+  if (!found) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calculation not found'
+    });
+  }
+
+  const state = createStateFor(app, content, context);
+  const { value, steps } = await evaluateCalculation(found.calculation, state);
+
+  res.json({
+    success: true,
+    data: {
+      calculationId: req.params.calculationId,
+      screenId: found.screenId,
+      elementId: found.elementId,
+      value,
+      ...(includeSteps && { steps })
+    }
+  });
+};
+
+// Resolve the conditional elements of one screen of `content` and send it
+const sendResolvedScreen = async (req, res, app, content) => {
+  const context = req.body.context === undefined ? {} : req.body.context;
+  if (!isPlainObject(context)) {
+    return res.status(400).json({
+      success: false,
+      message: 'context must be an object'
+    });
+  }
+
+  const screen = (content.screens || []).find(item => String(item.id) === String(req.params.screenId));
+  if (!screen) {
+    return res.status(404).json({
+      success: false,
+      message: 'Screen not found'
+    });
+  }
+
+  const state = createStateFor(app, content, { ...context, screenId: screen.id });
+  const resolved = await resolveScreen(screen, state);
+
+  res.json({
+    success: true,
+    data: resolved
+  });
+};
+
+// Calculation errors (bad configuration, missing rows) are 422
+const handleCalculationError = (res, error, label, serverMessage) => {
+  if (error.code === 'calculation_error') {
+    return res.status(422).json({
+      success: false,
+      message: error.message,
+      stepId: error.stepId
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: 'App not found'
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: serverMessage
+  });
+};
+
+// @route   POST /api/apps/:id/calculations/:calculationId/evaluate
+// @desc    Evaluate a calculation of the draft (or with published: true, of the
+//          live publication) for a context { values, rows, parameters, screenId, now }
+// @access  Private
+router.post('/:id/calculations/:calculationId/evaluate', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppForEvaluation(req, res);
+    if (!app) return;
+
+    const content = await getContent(app, req.body.published === true);
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'App is not published'
+      });
+    }
+
+    await sendEvaluation(req, res, app, content);
+
+  } catch (error) {
+    handleCalculationError(res, error, 'Evaluate calculation', 'Server error evaluating calculation');
+  }
+});
+
+// @route   POST /api/apps/:id/calculations/render
+// @desc    Replace {{CALC:id}} tokens in a text (body: text, context, published)
+// @access  Private
+router.post('/:id/calculations/render', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const { text, context = {} } = req.body;
+
+    if (typeof text !== 'string' || !isPlainObject(context)) {
+      return res.status(400).json({
+        success: false,
+        message: 'text must be a string and context an object'
+      });
+    }
+
+    const app = await loadAppForEvaluation(req, res);
+    if (!app) return;
+
+    const content = await getContent(app, req.body.published === true);
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'App is not published'
+      });
+    }
+
+    const result = await renderCalculationTokens(text, createStateFor(app, content, context));
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    handleCalculationError(res, error, 'Render calculations', 'Server error rendering calculations');
+  }
+});
+
+// @route   POST /api/apps/:id/published/calculations/:calculationId/evaluate
+// @desc    Evaluate a calculation of a published app's live publication
+// @access  Public
+router.post('/:id/published/calculations/:calculationId/evaluate', publicAppIpLimiter, async (req, res) => {
+  try {
+    const app = await App.findOne({ _id: req.params.id, isPublished: true });
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    await sendEvaluation(req, res, app, await getPublishedContent(app), { includeSteps: false });
+
+  } catch (error) {
+    handleCalculationError(res, error, 'Evaluate published calculation', 'Server error evaluating calculation');
+  }
+});
+
+// @route   POST /api/apps/:id/screens/:screenId/resolve
+// @desc    Resolve a screen of the draft (or with published: true, of the live
+//          publication) to the matching branch of each conditional element;
+//          hidden elements and unmatched branches are left out
+// @access  Private
+router.post('/:id/screens/:screenId/resolve', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppForEvaluation(req, res);
+    if (!app) return;
+
+    const content = await getContent(app, req.body.published === true);
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'App is not published'
+      });
+    }
+
+    await sendResolvedScreen(req, res, app, content);
+
+  } catch (error) {
+    handleCalculationError(res, error, 'Resolve screen', 'Server error resolving screen');
+  }
+});
+
+// @route   POST /api/apps/:id/published/screens/:screenId/resolve
+// @desc    Resolve a screen of a published app's live publication for a context
+// @access  Public
+router.post('/:id/published/screens/:screenId/resolve', publicAppIpLimiter, async (req, res) => {
+  try {
+    const app = await App.findOne({ _id: req.params.id, isPublished: true });
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    await sendResolvedScreen(req, res, app, await getPublishedContent(app));
+
+  } catch (error) {
+    handleCalculationError(res, error, 'Resolve published screen', 'Server error resolving screen');
+  }
+});
+
+module.exports = router;
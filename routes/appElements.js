@@ -0,0 +1,352 @@
+const express = require('express');
+const { auth, requireScope } = require('../middleware/auth');
+const { setVersionEtag } = require('../utils/appConcurrency');
+const { recordAudit, summarizeScreenChanges } = require('../utils/audit');
+const { applyPatch } = require('../utils/jsonPatch');
+const { PATCHABLE_FIELDS, editError, getScreen, applyAppChange, handleEditError } = require('../utils/appEdits');
+const {
+  findElement,
+  collectScreenElementIds,
+  containsElement,
+  generateElementId
+} = require('../utils/elementTree');
+
+const router = express.Router();
+
+// Element fields that can be changed through the update route
+// (id, type and children are changed through add/move/delete)
+const UPDATABLE_ELEMENT_FIELDS = [
+  'renderType',
+  'conditions',
+  'calculations',
+  'contentType',
+  'repeatingConfig',
+  'containerType',
+  'sliderConfig',
+  'tabsConfig',
+  'pageConfig'
+];
+
+// Children array of the parent an element is placed in (null = screen root)
+const getTargetSiblings = (screen, parentId) => {
+  if (parentId === undefined || parentId === null) return screen.elements;
+
+  const found = findElement(screen.elements, parentId);
+  if (!found) throw editError(404, 'Parent element not found');
+  if (found.element.type !== 'container') {
+    throw editError(400, 'Elements can only be placed inside containers');
+  }
+  found.element.children = found.element.children || [];
+  return found.element.children;
+};
+
+// Insert position within siblings; defaults to the end
+const resolveIndex = (index, siblings) => {
+  if (index === undefined || index === null) return siblings.length;
+  if (!Number.isInteger(index) || index < 0 || index > siblings.length) {
+    throw editError(400, `Index must be an integer between 0 and ${siblings.length}`);
+  }
+  return index;
+};
+
+// Send the outcome of a single-element change
+const sendElementResult = (res, status, message, { app, result }) => {
+  setVersionEtag(res, app);
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      ...result,
+      version: app.version
+    }
+  });
+};
+
+// Audit entry for an element change
+const auditElementChange = (req, action, outcome, elementId, diff) => {
+  const { app, previousVersion } = outcome;
+  return recordAudit(req, {
+    action,
+    target: { type: 'element', id: elementId, name: app.name },
+    app: app._id,
+    workspace: app.workspace,
+    diff: { ...diff, version: { from: previousVersion, to: app.version } }
+  });
+};
+
+// @route   POST /api/apps/:id/screens/:screenId/elements
+// @desc    Add an element to a screen (body: element, parentId, index)
+// @access  Private
+router.post('/:id/screens/:screenId/elements', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const { element, parentId = null, index } = req.body;
+
+    if (!element || typeof element !== 'object' || Array.isArray(element) || typeof element.type !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'element must be an object with a type'
+      });
+    }
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+      const existingIds = collectScreenElementIds(content.screens);
+      const newElement = JSON.parse(JSON.stringify(element));
+
+      if (newElement.id === undefined || newElement.id === null || newElement.id === '') {
+        newElement.id = generateElementId(newElement.type, existingIds);
+      }
+
+      const newIds = collectScreenElementIds([{ elements: [newElement] }]);
+      const duplicate = [...newIds].find(id => existingIds.has(id));
+      if (duplicate) {
+        throw editError(409, `Element id "${duplicate}" is already used in this app`);
+      }
+
+      const siblings = getTargetSiblings(screen, parentId);
+      const position = resolveIndex(index, siblings);
+      siblings.splice(position, 0, newElement);
+
+      return { element: newElement, screenId: screen.id, parentId, index: position };
+    });
+    if (!outcome) return;
+
+    await auditElementChange(req, 'app.element.add', outcome, outcome.result.element.id, {
+      screen: outcome.result.screenId,
+      parentId,
+      type: outcome.result.element.type
+    });
+
+    sendElementResult(res, 201, 'Element added successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Add element', 'Server error adding element');
+  }
+});
+
+// @route   PUT /api/apps/:id/screens/:screenId/elements/:elementId
+// @desc    Update an element. `properties` is merged (null removes a key);
+//          other fields replace the stored value.
+// @access  Private
+router.put('/:id/screens/:screenId/elements/:elementId', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const { properties } = req.body;
+
+    if (properties !== undefined && (properties === null || typeof properties !== 'object' || Array.isArray(properties))) {
+      return res.status(400).json({
+        success: false,
+        message: 'properties must be an object'
+      });
+    }
+
+    const changedFields = UPDATABLE_ELEMENT_FIELDS.filter(field => req.body[field] !== undefined);
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+      const found = findElement(screen.elements, req.params.elementId);
+      if (!found) throw editError(404, 'Element not found');
+
+      const { element } = found;
+
+      if (properties) {
+        element.properties = element.properties || {};
+        Object.keys(properties).forEach(key => {
+          if (properties[key] === null) {
+            delete element.properties[key];
+          } else {
+            element.properties[key] = properties[key];
+          }
+        });
+      }
+
+      changedFields.forEach(field => {
+        element[field] = req.body[field];
+      });
+
+      return { element, screenId: screen.id };
+    });
+    if (!outcome) return;
+
+    await auditElementChange(req, 'app.element.update', outcome, req.params.elementId, {
+      screen: outcome.result.screenId,
+      properties: properties ? Object.keys(properties) : [],
+      fields: changedFields
+    });
+
+    sendElementResult(res, 200, 'Element updated successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Update element', 'Server error updating element');
+  }
+});
+
+// @route   POST /api/apps/:id/screens/:screenId/elements/:elementId/move
+// @desc    Move an element (body: parentId, index, toScreenId)
+// @access  Private
+router.post('/:id/screens/:screenId/elements/:elementId/move', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const { parentId = null, index, toScreenId } = req.body;
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+      const targetScreen = toScreenId !== undefined ? getScreen(content, toScreenId) : screen;
+
+      const found = findElement(screen.elements, req.params.elementId);
+      if (!found) throw editError(404, 'Element not found');
+
+      if (parentId !== null && containsElement(found.element, parentId)) {
+        throw editError(400, 'An element cannot be moved into itself or one of its children');
+      }
+
+      found.siblings.splice(found.index, 1);
+
+      const siblings = getTargetSiblings(targetScreen, parentId);
+      const position = resolveIndex(index, siblings);
+      siblings.splice(position, 0, found.element);
+
+      return {
+        element: found.element,
+        screenId: targetScreen.id,
+        parentId,
+        index: position,
+        from: {
+          screenId: screen.id,
+          parentId: found.parent ? found.parent.id : null,
+          index: found.index
+        }
+      };
+    });
+    if (!outcome) return;
+
+    await auditElementChange(req, 'app.element.move', outcome, req.params.elementId, {
+      from: outcome.result.from,
+      to: { screenId: outcome.result.screenId, parentId, index: outcome.result.index }
+    });
+
+    sendElementResult(res, 200, 'Element moved successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Move element', 'Server error moving element');
+  }
+});
+
+// @route   DELETE /api/apps/:id/screens/:screenId/elements/:elementId
+// @desc    Delete an element and its children
+// @access  Private
+router.delete('/:id/screens/:screenId/elements/:elementId', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+      const found = findElement(screen.elements, req.params.elementId);
+      if (!found) throw editError(404, 'Element not found');
+
+      found.siblings.splice(found.index, 1);
+
+      return {
+        elementId: found.element.id,
+        screenId: screen.id,
+        removedElements: collectScreenElementIds([{ elements: [found.element] }]).size
+      };
+    });
+    if (!outcome) return;
+
+    await auditElementChange(req, 'app.element.delete', outcome, req.params.elementId, {
+      screen: outcome.result.screenId,
+      removedElements: outcome.result.removedElements
+    });
+
+    sendElementResult(res, 200, 'Element deleted successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Delete element', 'Server error deleting element');
+  }
+});
+
+// @route   PATCH /api/apps/:id
+// @desc    Apply a JSON Patch (RFC 6902) to the app's screens, homeScreenId,
+//          settings and calculations. All operations succeed or none do.
+// @access  Private
+router.patch('/:id', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const operations = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must be a non-empty JSON Patch array'
+      });
+    }
+
+    const outsidePath = operations.find(operation => {
+      return [operation && operation.path, operation && operation.from]
+        .filter(path => path !== undefined)
+        .some(path => !PATCHABLE_FIELDS.some(field => path === `/${field}` || String(path).startsWith(`/${field}/`)));
+    });
+    if (outsidePath) {
+      return res.status(422).json({
+        success: false,
+        message: `Patch paths must be inside ${PATCHABLE_FIELDS.map(field => `/${field}`).join(', ')}`,
+        operation: operations.indexOf(outsidePath)
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await applyAppChange(req, res, (content) => {
+        const patched = applyPatch(content, operations);
+        if (!Array.isArray(patched.screens)) {
+          throw editError(422, 'screens must be an array');
+        }
+        ['settings', 'calculations'].forEach(field => {
+          const value = patched[field];
+          if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+            throw editError(422, `${field} must be an object`);
+          }
+        });
+        // Removed fields are reset to their defaults rather than left as they were
+        content.screens = patched.screens;
+        content.homeScreenId = patched.homeScreenId !== undefined ? patched.homeScreenId : null;
+        content.settings = patched.settings || {};
+        content.calculations = patched.calculations || {};
+        return { operations: operations.length };
+      });
+    } catch (patchError) {
+      if (!['invalid_patch', 'test_failed'].includes(patchError.code)) throw patchError;
+      // A failed "test" is a precondition failure, anything else a bad patch
+      return res.status(patchError.code === 'test_failed' ? 409 : 422).json({
+        success: false,
+        message: patchError.message,
+        operation: patchError.operationIndex,
+        path: patchError.path
+      });
+    }
+    if (!outcome) return;
+
+    const { app, previousVersion, beforeScreens } = outcome;
+
+    await recordAudit(req, {
+      action: 'app.patch',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        operations: operations.map(operation => ({ op: operation.op, path: operation.path })),
+        screens: summarizeScreenChanges(beforeScreens, app.screens),
+        version: { from: previousVersion, to: app.version }
+      }
+    });
+
+    setVersionEtag(res, app);
+
+    res.json({
+      success: true,
+      message: 'App patched successfully',
+      data: app
+    });
+
+  } catch (error) {
+    handleEditError(res, error, 'Patch app', 'Server error patching app');
+  }
+});
+
+module.exports = router;
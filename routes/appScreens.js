@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const App = require('../models/App');
+const Workspace = require('../models/Workspace');
+const { auth, requireScope } = require('../middleware/auth');
+const { findWithWorkspaceRole, sendForbidden } = require('../utils/workspaceAccess');
+const { setVersionEtag } = require('../utils/appConcurrency');
+const { recordAudit } = require('../utils/audit');
+const { editError, getScreen, applyAppChange, handleEditError } = require('../utils/appEdits');
+const { normalizeScreenUrl } = require('../utils/screenValidator');
+const { walkElements, collectScreenElementIds } = require('../utils/elementTree');
+const { copyScreen } = require('../utils/appCopy');
+
+const router = express.Router();
+
+// Screen urls are path segments of letters, digits and - . _ ~
+// (stored without surrounding slashes)
+const SCREEN_URL_PATTERN = /^[a-z0-9._~-]+(\/[a-z0-9._~-]+)*$/;
+
+const screenNameRule = (optional) => {
+  const rule = body('name');
+  return (optional ? rule.optional() : rule)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Screen name must be between 1 and 50 characters');
+};
+
+const screenUrlRule = () => body('url')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Screen url must be a string')
+  .customSanitizer(normalizeScreenUrl)
+  .custom(url => url === '' || SCREEN_URL_PATTERN.test(url))
+  .withMessage('Screen url may only contain letters, numbers, -, ., _, ~ and /');
+
+// Send 400 with the express-validator errors; returns true when sent
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Screen ids are allocated here rather than by clients so concurrent edits
+// never pick the same id (the save fails and is retried instead). The app's
+// counter keeps ids of deleted screens from being reused.
+const allocateScreenId = (app, screens) => {
+  const highest = screens.reduce((max, screen) => Math.max(max, screen.id), 0);
+  const id = Math.max(app.nextScreenId || 1, highest + 1);
+  app.nextScreenId = id + 1;
+  return id;
+};
+
+// Reject a url another screen of the app already uses
+const assertUrlAvailable = (screens, url, screenId = null) => {
+  if (!url) return;
+  const other = screens.find(screen => screen.id !== screenId && normalizeScreenUrl(screen.url) === url);
+  if (other) {
+    throw editError(409, `Screen url "${url}" is already used by screen ${other.id}`);
+  }
+};
+
+// Page containers (in any screen) that embed the given screen
+const findPageReferences = (screens, screenId) => {
+  const references = [];
+  screens.forEach(screen => {
+    walkElements(screen.elements, element => {
+      if (element.contentType === 'page' && element.pageConfig
+        && String(element.pageConfig.selectedPageId) === String(screenId)) {
+        references.push({ screenId: screen.id, elementId: element.id, element });
+      }
+    });
+  });
+  return references;
+};
+
+// Screen summary without its element tree
+const toScreenSummary = (screen, homeScreenId) => ({
+  id: screen.id,
+  name: screen.name,
+  url: screen.url || '',
+  elements: collectScreenElementIds([screen]).size,
+  isHome: screen.id === homeScreenId
+});
+
+// Send the outcome of a screen change
+const sendScreenResult = (res, status, message, { app, result }) => {
+  setVersionEtag(res, app);
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      ...result,
+      version: app.version
+    }
+  });
+};
+
+// Audit entry for a screen change
+const auditScreenChange = (req, action, outcome, screen, diff) => {
+  const { app, previousVersion } = outcome;
+  return recordAudit(req, {
+    action,
+    target: { type: 'screen', id: String(screen.id), name: screen.name },
+    app: app._id,
+    workspace: app.workspace,
+    diff: { ...diff, version: { from: previousVersion, to: app.version } }
+  });
+};
+
+// @route   GET /api/apps/:id/screens
+// @desc    List screens (without element trees) in display order
+// @access  Private
+router.get('/:id/screens', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    if (!Workspace.hasRole(role, 'viewer')) {
+      return sendForbidden(res, 'viewer');
+    }
+
+    const screens = app.screens.toObject();
+
+    setVersionEtag(res, app);
+    res.json({
+      success: true,
+      data: {
+        homeScreenId: app.homeScreenId,
+        screens: screens.map(screen => toScreenSummary(screen, app.homeScreenId)),
+        version: app.version
+      }
+    });
+
+  } catch (error) {
+    handleEditError(res, error, 'Get screens', 'Server error fetching screens');
+  }
+});
+
+// @route   POST /api/apps/:id/screens
+// @desc    Create an empty screen (body: name, url, index); the id is allocated
+//          by the server
+// @access  Private
+router.post('/:id/screens', [
+  auth,
+  requireScope('apps:write'),
+  screenNameRule(false),
+  screenUrlRule(),
+  body('index').optional().isInt({ min: 0 }).withMessage('index must be a non-negative integer').toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, url = '', index } = req.body;
+
+    const outcome = await applyAppChange(req, res, (content, app) => {
+      assertUrlAvailable(content.screens, url);
+
+      const screen = { id: allocateScreenId(app, content.screens), name, url, elements: [] };
+      const position = index === undefined ? content.screens.length : Math.min(index, content.screens.length);
+      content.screens.splice(position, 0, screen);
+
+      return { screen, index: position };
+    });
+    if (!outcome) return;
+
+    await auditScreenChange(req, 'app.screen.add', outcome, outcome.result.screen, { url });
+
+    sendScreenResult(res, 201, 'Screen created successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Create screen', 'Server error creating screen');
+  }
+});
+
+// @route   PUT /api/apps/:id/screens
+// @desc    Reorder screens (body: order = all screen ids) and/or change the
+//          home screen (body: homeScreenId)
+// @access  Private
+router.put('/:id/screens', [
+  auth,
+  requireScope('apps:write'),
+  body('order').optional().isArray({ min: 1 }).withMessage('order must be a non-empty array of screen ids'),
+  body('order.*').isInt().withMessage('order must contain screen ids').toInt(),
+  body('homeScreenId').optional().isInt().withMessage('homeScreenId must be a screen id').toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { order, homeScreenId } = req.body;
+
+    if (order === undefined && homeScreenId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send order and/or homeScreenId'
+      });
+    }
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const before = {
+        order: content.screens.map(screen => screen.id),
+        homeScreenId: content.homeScreenId
+      };
+
+      if (order !== undefined) {
+        const ids = content.screens.map(screen => screen.id);
+        const isPermutation = order.length === ids.length
+          && new Set(order).size === order.length
+          && order.every(id => ids.includes(id));
+        if (!isPermutation) {
+          throw editError(400, 'order must list every screen id exactly once');
+        }
+        content.screens = order.map(id => content.screens.find(screen => screen.id === id));
+      }
+
+      if (homeScreenId !== undefined) {
+        if (!content.screens.some(screen => screen.id === homeScreenId)) {
+          throw editError(400, `Screen ${homeScreenId} does not exist`);
+        }
+        content.homeScreenId = homeScreenId;
+      }
+
+      return {
+        before,
+        homeScreenId: content.homeScreenId,
+        screens: content.screens.map(screen => toScreenSummary(screen, content.homeScreenId))
+      };
+    });
+    if (!outcome) return;
+
+    const { app, previousVersion, result } = outcome;
+
+    await recordAudit(req, {
+      action: 'app.screen.reorder',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        order: { from: result.before.order, to: result.screens.map(screen => screen.id) },
+        homeScreenId: { from: result.before.homeScreenId, to: result.homeScreenId },
+        version: { from: previousVersion, to: app.version }
+      }
+    });
+
+    delete result.before;
+    sendScreenResult(res, 200, 'Screens updated successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Reorder screens', 'Server error updating screens');
+  }
+});
+
+// @route   PUT /api/apps/:id/screens/:screenId
+// @desc    Rename a screen and/or change its url
+// @access  Private
+router.put('/:id/screens/:screenId', [
+  auth,
+  requireScope('apps:write'),
+  screenNameRule(true),
+  screenUrlRule()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, url } = req.body;
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+      const before = { name: screen.name, url: screen.url || '' };
+
+      if (url !== undefined && url !== null) {
+        assertUrlAvailable(content.screens, url, screen.id);
+        screen.url = url;
+      }
+      if (name !== undefined) screen.name = name;
+
+      return { screen: toScreenSummary(screen, content.homeScreenId), before };
+    });
+    if (!outcome) return;
+
+    const { screen, before } = outcome.result;
+    await auditScreenChange(req, 'app.screen.update', outcome, screen, {
+      name: { from: before.name, to: screen.name },
+      url: { from: before.url, to: screen.url }
+    });
+
+    delete outcome.result.before;
+    sendScreenResult(res, 200, 'Screen updated successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Update screen', 'Server error updating screen');
+  }
+});
+
+// @route   POST /api/apps/:id/screens/:screenId/duplicate
+// @desc    Duplicate a screen with fresh element ids, placed after the original
+//          (body: name, url)
+// @access  Private
+router.post('/:id/screens/:screenId/duplicate', [
+  auth,
+  requireScope('apps:write'),
+  screenNameRule(true),
+  screenUrlRule()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { url = '' } = req.body;
+
+    const outcome = await applyAppChange(req, res, (content, app) => {
+      const source = getScreen(content, req.params.screenId);
+      assertUrlAvailable(content.screens, url);
+
+      const screen = copyScreen(source, collectScreenElementIds(content.screens));
+      screen.id = allocateScreenId(app, content.screens);
+      screen.name = req.body.name || `${source.name} copy`.slice(0, 50);
+      screen.url = url;
+
+      const position = content.screens.indexOf(source) + 1;
+      content.screens.splice(position, 0, screen);
+
+      return { screen, index: position, duplicatedFrom: source.id };
+    });
+    if (!outcome) return;
+
+    await auditScreenChange(req, 'app.screen.duplicate', outcome, outcome.result.screen, {
+      duplicatedFrom: outcome.result.duplicatedFrom,
+      elements: collectScreenElementIds([outcome.result.screen]).size
+    });
+
+    sendScreenResult(res, 201, 'Screen duplicated successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Duplicate screen', 'Server error duplicating screen');
+  }
+});
+
+// @route   DELETE /api/apps/:id/screens/:screenId
+// @desc    Delete a screen. Page containers embedding it are listed and the
+//          delete is refused unless ?force=true, which turns them into plain
+//          containers.
+// @access  Private
+router.delete('/:id/screens/:screenId', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const force = req.query.force === 'true';
+
+    const outcome = await applyAppChange(req, res, (content) => {
+      const screen = getScreen(content, req.params.screenId);
+
+      if (content.screens.length === 1) {
+        throw editError(400, 'An app needs at least one screen');
+      }
+      if (screen.id === content.homeScreenId) {
+        throw editError(400, 'The home screen cannot be deleted; choose another home screen first');
+      }
+
+      const references = findPageReferences(content.screens, screen.id)
+        .filter(reference => reference.screenId !== screen.id);
+
+      if (references.length > 0 && !force) {
+        throw Object.assign(
+          editError(409, `Screen is embedded by ${references.length} page container(s); delete with force=true to reset them`),
+          { errors: references.map(({ screenId, elementId }) => ({ screenId, elementId })) }
+        );
+      }
+
+      references.forEach(({ element }) => {
+        element.contentType = 'fixed';
+        delete element.pageConfig;
+      });
+
+      content.screens.splice(content.screens.indexOf(screen), 1);
+
+      return {
+        screenId: screen.id,
+        name: screen.name,
+        resetPageContainers: references.map(({ screenId, elementId }) => ({ screenId, elementId }))
+      };
+    });
+    if (!outcome) return;
+
+    const { screenId, name, resetPageContainers } = outcome.result;
+    await auditScreenChange(req, 'app.screen.delete', outcome, { id: screenId, name }, {
+      resetPageContainers
+    });
+
+    sendScreenResult(res, 200, 'Screen deleted successfully', outcome);
+
+  } catch (error) {
+    handleEditError(res, error, 'Delete screen', 'Server error deleting screen');
+  }
+});
+
+module.exports = router;
@@ -1,58 +1,80 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const App = require('../models/App');
-const { auth } = require('../middleware/auth');
+const AppVersion = require('../models/AppVersion');
+const AppViewStat = require('../models/AppViewStat');
+const AppPublication = require('../models/AppPublication');
+const Workspace = require('../models/Workspace');
+const Database = require('../models/Database');
+const { auth, requireScope } = require('../middleware/auth');
+const { viewIpLimiter } = require('../middleware/rateLimits');
+const { findWithWorkspaceRole, resolveTargetWorkspace, sendForbidden } = require('../utils/workspaceAccess');
+const { recordAudit, diffFields, summarizeScreenChanges } = require('../utils/audit');
+const { validateScreens } = require('../utils/screenValidator');
+const { collectDataReferences, buildDependencyIndex, findBrokenReferences } = require('../utils/dataReferences');
+const { findFreeName, createAppCopy } = require('../utils/appCopy');
+const { buildBundle, validateBundle, importBundle } = require('../utils/appBundle');
+const { mergeRegisters, estimateCardinality } = require('../utils/hyperLogLog');
+const { findPublishedApp, toPublishedView, getLivePublication } = require('../utils/publishedApp');
+const {
+  MAX_DOMAINS_PER_APP,
+  normalizeDomain,
+  isValidDomain,
+  generateVerificationToken,
+  getVerificationRecord,
+  checkVerificationRecord,
+  invalidateDomainCache
+} = require('../utils/customDomains');
+const { setVersionEtag, getBaseVersion, saveIfUnchanged, sendInvalidBaseVersion, sendVersionConflict } = require('../utils/appConcurrency');
+const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Public subdomain/slug lookups count as views, so they share the view limiter
+const limitPublishedLookups = (req, res, next) => {
+  if (req.query.subdomain || req.query.slug) {
+    return viewIpLimiter(req, res, next);
+  }
+  next();
+};
+
 // @route   GET /api/apps
-// @desc    Get all apps for authenticated user or find by subdomain
-// @access  Private (except for subdomain lookup)
-router.get('/', async (req, res) => {
+// @desc    Get all apps in the user's workspaces (optionally ?workspaceId=) or
+//          find a published app by subdomain or slug
+// @access  Private (except for subdomain/slug lookup)
+router.get('/', limitPublishedLookups, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', subdomain } = req.query;
+    const { page = 1, limit = 10, search = '', subdomain, slug } = req.query;
     const skip = (page - 1) * limit;
 
-    // If subdomain is provided, find app by subdomain (public access)
-    if (subdomain) {
-      const app = await App.findOne({ subdomain });
-      if (!app) {
+    // If subdomain or slug is provided, serve the published snapshot (public
+    // access); the draft being edited in the builder is never served here
+    if (subdomain || slug) {
+      const found = await findPublishedApp(subdomain ? { subdomain: String(subdomain) } : { slug: String(slug) });
+      if (!found) {
         return res.status(404).json({
           success: false,
           message: 'App not found'
         });
       }
-      
-      // Debug: Check if calculations are present in the app data (including nested children)
-      console.log('🔍 Backend: Found app for subdomain:', subdomain);
-      
-      const checkCalculationsRecursively = (elements, depth = 0) => {
-        const indent = '  '.repeat(depth);
-        elements.forEach((element, elementIndex) => {
-          console.log(`${indent}🔍 Backend: Element ${element.id} (${element.type})`);
-          if (element.calculations && Object.keys(element.calculations).length > 0) {
-            console.log(`${indent}✅ Backend: Element ${element.id} has calculations:`, Object.keys(element.calculations));
-            console.log(`${indent}📊 Backend: Calculation data:`, element.calculations);
-          } else {
-            console.log(`${indent}❌ Backend: Element ${element.id} has NO calculations`);
-          }
-          
-          if (element.children && element.children.length > 0) {
-            console.log(`${indent}🔍 Backend: Checking ${element.children.length} children of ${element.id}`);
-            checkCalculationsRecursively(element.children, depth + 1);
-          }
-        });
-      };
-      
-      if (app.screens && app.screens.length > 0) {
-        app.screens.forEach((screen, screenIndex) => {
-          console.log(`🔍 Backend: Screen ${screenIndex} (${screen.name}) has ${screen.elements?.length || 0} elements`);
-          if (screen.elements) {
-            checkCalculationsRecursively(screen.elements);
-          }
-        });
+
+      const { app: publishedApp, publication } = found;
+      const app = toPublishedView(publishedApp, publication);
+
+      // Count the visit and the screen it opens on
+      try {
+        // Only screens of the live publication are counted
+        const screenId = req.query.screenId === undefined ? publication.homeScreenId : Number(req.query.screenId);
+        await publishedApp.incrementViews();
+        app.views = publishedApp.views;
+        await AppViewStat.recordView(publishedApp._id, null, req);
+        if ((publication.screens || []).some(screen => screen.id === screenId)) {
+          await AppViewStat.recordView(publishedApp._id, screenId, req);
+        }
+      } catch (viewError) {
+        console.error('Record app view error:', viewError.message);
       }
-      
+
       return res.json({
         success: true,
         data: [app] // Return as array for consistency
@@ -60,7 +82,7 @@ router.get('/', async (req, res) => {
     }
 
     // Otherwise, require authentication for user's apps
-    if (!req.headers.authorization) {
+    if (!req.headers.authorization && !req.headers['x-api-key']) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
@@ -82,7 +104,26 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const query = { owner: req.user.id };
+    if (req.apiKey && !req.apiKey.hasScope('apps:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope: apps:read'
+      });
+    }
+
+    const workspaceIds = await Workspace.getAccessibleIds(req.user.id);
+    const query = { workspace: { $in: workspaceIds } };
+
+    // Filter to a single workspace
+    if (req.query.workspaceId) {
+      if (!workspaceIds.some(id => id.toString() === req.query.workspaceId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+      query.workspace = req.query.workspaceId;
+    }
     
     // Add search functionality
     if (search) {
@@ -96,7 +137,7 @@ router.get('/', async (req, res) => {
       .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip(skip)
-      .select('name description appType subdomain createdAt updatedAt isPublished views'); // Don't send screens data for list view
+      .select('name description appType subdomain workspace createdAt updatedAt isPublished views'); // Don't send screens data for list view
 
     const total = await App.countDocuments(query);
 
@@ -122,12 +163,9 @@ router.get('/', async (req, res) => {
 // @route   GET /api/apps/:id
 // @desc    Get single app by ID with full data
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('apps:read'), async (req, res) => {
   try {
-    const app = await App.findOne({
-      _id: req.params.id,
-      owner: req.user.id
-    });
+    const { doc: app } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
 
     if (!app) {
       return res.status(404).json({
@@ -136,6 +174,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    setVersionEtag(res, app);
+
     res.json({
       success: true,
       data: app
@@ -164,6 +204,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireScope('apps:write'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -184,7 +225,11 @@ router.post('/', [
     .matches(/^[a-z0-9-]+$/)
     .withMessage('Subdomain can only contain lowercase letters, numbers, and hyphens')
     .isLength({ min: 3, max: 50 })
-    .withMessage('Subdomain must be between 3 and 50 characters')
+    .withMessage('Subdomain must be between 3 and 50 characters'),
+  body('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -197,18 +242,27 @@ router.post('/', [
       });
     }
 
-    const { name, description, appType, subdomain } = req.body;
+    const { name, description, appType, subdomain, workspaceId } = req.body;
+
+    // Defaults to the user's personal workspace
+    const workspace = await resolveTargetWorkspace(workspaceId, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found or not writable'
+      });
+    }
 
-    // Check if user already has an app with this name
+    // Check if workspace already has an app with this name
     const existingApp = await App.findOne({
       name,
-      owner: req.user.id
+      workspace: workspace._id
     });
 
     if (existingApp) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an app with this name'
+        message: 'This workspace already has an app with this name'
       });
     }
 
@@ -228,6 +282,7 @@ router.post('/', [
       name,
       description: description || '',
       owner: req.user.id,
+      workspace: workspace._id,
       screens: [{ id: 1, name: 'Home', elements: [] }]
     };
 
@@ -236,6 +291,14 @@ router.post('/', [
     if (subdomain) appData.subdomain = subdomain;
 
     const app = await App.create(appData);
+    await AppVersion.snapshot(app, req.user.id, { source: 'create' });
+
+    await recordAudit(req, {
+      action: 'app.create',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace
+    });
 
     res.status(201).json({
       success: true,
@@ -253,10 +316,12 @@ router.post('/', [
 });
 
 // @route   PUT /api/apps/:id
-// @desc    Update app (including screens and elements)
+// @desc    Update app (including screens and elements). Send the version the
+//          edits are based on as `version` or If-Match; stale writes get 409.
 // @access  Private
 router.put('/:id', [
   auth,
+  requireScope('apps:write'),
   body('name')
     .optional()
     .trim()
@@ -282,7 +347,11 @@ router.put('/:id', [
   body('screens')
     .optional()
     .isArray()
-    .withMessage('Screens must be an array')
+    .withMessage('Screens must be an array'),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -297,10 +366,7 @@ router.put('/:id', [
 
     const { name, description, appType, subdomain, screens, settings, homeScreenId } = req.body;
 
-    const app = await App.findOne({
-      _id: req.params.id,
-      owner: req.user.id
-    });
+    const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
 
     if (!app) {
       return res.status(404).json({
@@ -309,18 +375,48 @@ router.put('/:id', [
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
+    // Reject edits based on an outdated version
+    const baseVersion = getBaseVersion(req);
+    if (Number.isNaN(baseVersion)) {
+      return sendInvalidBaseVersion(res);
+    }
+    if (baseVersion !== undefined && baseVersion !== app.version) {
+      return sendVersionConflict(res, app, baseVersion);
+    }
+    const loadedVersion = app.version;
+
+    // Validate the screen tree before anything is overwritten
+    if (screens || homeScreenId !== undefined) {
+      const treeErrors = validateScreens(
+        screens || app.screens.toObject(),
+        homeScreenId !== undefined ? homeScreenId : app.homeScreenId
+      ).filter(error => screens || error.path === '/homeScreenId');
+
+      if (treeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid screen tree',
+          errors: treeErrors
+        });
+      }
+    }
+
     // Check for name conflict if name is being changed
     if (name && name !== app.name) {
       const existingApp = await App.findOne({
         name,
-        owner: req.user.id,
+        workspace: app.workspace,
         _id: { $ne: req.params.id }
       });
 
       if (existingApp) {
         return res.status(400).json({
           success: false,
-          message: 'You already have an app with this name'
+          message: 'This workspace already has an app with this name'
         });
       }
     }
@@ -340,6 +436,27 @@ router.put('/:id', [
       }
     }
 
+    // Keep previous state for the audit log
+    const before = {
+      name: app.name,
+      description: app.description,
+      appType: app.appType,
+      subdomain: app.subdomain,
+      settings: app.settings ? app.settings.toObject() : {},
+      homeScreenId: app.homeScreenId,
+      screens: screens ? app.screens.toObject() : null
+    };
+
+    // Versioned content (screens, settings, home screen) before the update
+    const contentUpdate = Boolean(screens || settings || homeScreenId !== undefined);
+    const beforeContent = contentUpdate ? JSON.stringify(AppVersion.captureContent(app)) : null;
+
+    // Apps created before version history existed have no snapshot of
+    // their current version yet; keep it before it is overwritten
+    if (contentUpdate) {
+      await AppVersion.ensureSnapshot(app, req.user.id);
+    }
+
     // Update fields
     if (name) app.name = name;
     if (description !== undefined) app.description = description;
@@ -378,12 +495,48 @@ router.put('/:id', [
     if (settings) app.settings = { ...app.settings, ...settings };
     if (homeScreenId !== undefined) app.homeScreenId = homeScreenId;
 
-    // Increment version on screen/element changes
-    if (screens) {
+    // Every content change is a new version that can be restored; this
+    // also makes concurrent saves of settings or the home screen conflict
+    // instead of silently overwriting each other
+    const contentChanged = contentUpdate && JSON.stringify(AppVersion.captureContent(app)) !== beforeContent;
+    if (contentChanged) {
       app.version += 1;
     }
 
-    await app.save();
+    // Only save if nobody else saved in the meantime
+    if (!await saveIfUnchanged(app, loadedVersion)) {
+      const current = await App.findById(app._id);
+      return sendVersionConflict(res, current, baseVersion !== undefined ? baseVersion : loadedVersion);
+    }
+
+    if (contentChanged) {
+      await AppVersion.snapshot(app, req.user.id);
+    }
+
+    const diff = diffFields(before, {
+      name: app.name,
+      description: app.description,
+      appType: app.appType,
+      subdomain: app.subdomain,
+      settings: app.settings.toObject(),
+      homeScreenId: app.homeScreenId
+    }, ['name', 'description', 'appType', 'subdomain', 'settings', 'homeScreenId']);
+    if (screens) {
+      diff.screens = summarizeScreenChanges(before.screens, app.screens);
+    }
+    if (contentChanged) {
+      diff.version = { from: app.version - 1, to: app.version };
+    }
+
+    await recordAudit(req, {
+      action: 'app.update',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff
+    });
+
+    setVersionEtag(res, app);
 
     res.json({
       success: true,
@@ -411,12 +564,9 @@ router.put('/:id', [
 // @route   DELETE /api/apps/:id
 // @desc    Delete app
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('apps:write'), async (req, res) => {
   try {
-    const app = await App.findOne({
-      _id: req.params.id,
-      owner: req.user.id
-    });
+    const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
 
     if (!app) {
       return res.status(404).json({
@@ -425,7 +575,25 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    if (!Workspace.hasRole(role, 'admin')) {
+      return sendForbidden(res, 'admin');
+    }
+
     await App.findByIdAndDelete(req.params.id);
+    await AppVersion.deleteMany({ app: app._id });
+    await AppViewStat.deleteMany({ app: app._id });
+    await AppPublication.deleteMany({ app: app._id });
+    if (app.customDomains.some(entry => entry.status === 'verified')) {
+      invalidateDomainCache();
+    }
+
+    await recordAudit(req, {
+      action: 'app.delete',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: { screens: app.screens.length, version: app.version }
+    });
 
     res.json({
       success: true,
@@ -450,16 +618,14 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/apps/:id/publish
-// @desc    Publish/unpublish app
+// @desc    Publish/unpublish app. Publishing freezes the current draft as a
+//          new publication served on the subdomain/slug.
 // @access  Private
-router.post('/:id/publish', auth, async (req, res) => {
+router.post('/:id/publish', auth, requireScope('apps:write'), async (req, res) => {
   try {
     const { isPublished, isPublic } = req.body;
 
-    const app = await App.findOne({
-      _id: req.params.id,
-      owner: req.user.id
-    });
+    const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
 
     if (!app) {
       return res.status(404).json({
@@ -468,6 +634,12 @@ router.post('/:id/publish', auth, async (req, res) => {
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
+    const before = { isPublished: app.isPublished, isPublic: app.isPublic };
+
     app.isPublished = isPublished !== undefined ? isPublished : !app.isPublished;
     
     if (isPublic !== undefined) {
@@ -478,7 +650,44 @@ router.post('/:id/publish', auth, async (req, res) => {
       app.publishedAt = new Date();
     }
 
-    await app.save();
+    // Publishing freezes the current draft; end users only ever see this
+    // snapshot until the app is published again
+    let publication = null;
+    if (app.isPublished) {
+      const treeErrors = validateScreens(app.screens.toObject(), app.homeScreenId);
+      if (treeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The app has an invalid screen tree and cannot be published',
+          errors: treeErrors
+        });
+      }
+
+      publication = await AppPublication.publish(app, AppVersion.captureContent(app), req.user.id);
+      app.publishedSnapshot = publication._id;
+    }
+
+    try {
+      await app.save();
+    } catch (saveError) {
+      // Don't leave a publication behind that no app points at
+      if (publication) await AppPublication.deleteOne({ _id: publication._id });
+      throw saveError;
+    }
+    invalidateDomainCache();
+
+    const diff = diffFields(before, { isPublished: app.isPublished, isPublic: app.isPublic }, ['isPublished', 'isPublic']);
+    if (publication) {
+      diff.publication = { number: publication.number, version: publication.version };
+    }
+
+    await recordAudit(req, {
+      action: app.isPublished ? 'app.publish' : 'app.unpublish',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff
+    });
 
     res.json({
       success: true,
@@ -487,7 +696,12 @@ router.post('/:id/publish', auth, async (req, res) => {
         isPublished: app.isPublished,
         isPublic: app.isPublic,
         publishedAt: app.publishedAt,
-        slug: app.slug
+        slug: app.slug,
+        publication: publication && {
+          number: publication.number,
+          version: publication.version,
+          publishedAt: publication.publishedAt
+        }
       }
     });
 
@@ -508,4 +722,1184 @@ router.post('/:id/publish', auth, async (req, res) => {
   }
 });
 
+// Helper to load an app with the required workspace role, sending 404/403
+const loadAppWithRole = async (req, res, minRole) => {
+  const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
+
+  if (!app) {
+    res.status(404).json({
+      success: false,
+      message: 'App not found'
+    });
+    return null;
+  }
+
+  if (!Workspace.hasRole(role, minRole)) {
+    sendForbidden(res, minRole);
+    return null;
+  }
+
+  return app;
+};
+
+// @route   POST /api/apps/:id/duplicate
+// @desc    Duplicate an app with fresh element ids (body: name, workspaceId,
+//          copyDatabases; databases are always copied into another workspace)
+// @access  Private
+router.post('/:id/duplicate', [
+  auth,
+  requireScope('apps:write'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  body('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID'),
+  body('copyDatabases')
+    .optional()
+    .isBoolean()
+    .withMessage('copyDatabases must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const source = await loadAppWithRole(req, res, 'viewer');
+    if (!source) return;
+
+    // Defaults to the source app's workspace
+    const workspace = await resolveTargetWorkspace(req.body.workspaceId || source.workspace, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found or not writable'
+      });
+    }
+
+    // Apps only read databases of their own workspace, so a copy into
+    // another workspace always gets copies of the databases
+    const copyDatabases = req.body.copyDatabases === true || req.body.copyDatabases === 'true'
+      || source.workspace.toString() !== workspace._id.toString();
+    if (copyDatabases && req.apiKey && !req.apiKey.hasScope('databases:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope: databases:write'
+      });
+    }
+
+    let { name } = req.body;
+    if (name) {
+      const existingApp = await App.findOne({ name, workspace: workspace._id });
+      if (existingApp) {
+        return res.status(400).json({
+          success: false,
+          message: 'This workspace already has an app with this name'
+        });
+      }
+    } else {
+      name = await findFreeName(App, workspace._id, `${source.name} (copy)`);
+    }
+
+    const { app, databases, unresolvedDatabaseIds } = await createAppCopy({
+      source,
+      name,
+      workspace,
+      userId: req.user.id,
+      kind: 'duplicate',
+      copyDatabases
+    });
+
+    await recordAudit(req, {
+      action: 'app.duplicate',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        source: source._id.toString(),
+        copiedDatabases: databases.map(database => database._id.toString()),
+        unresolvedDatabaseIds
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'App duplicated successfully',
+      data: {
+        app,
+        databases,
+        unresolvedDatabaseIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Duplicate app error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error duplicating app'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/export
+// @desc    Export the app with the schemas of its databases as a bundle
+//          (?includeData=true adds the table records)
+// @access  Private
+router.get('/:id/export', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const includeData = req.query.includeData === 'true';
+    if (includeData && req.apiKey && !req.apiKey.hasScope('records:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope: records:read'
+      });
+    }
+
+    const bundle = await buildBundle(app, { includeData });
+
+    await recordAudit(req, {
+      action: 'app.export',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        includeData,
+        databases: bundle.databases.map(database => database.id)
+      }
+    });
+
+    res.json({
+      success: true,
+      data: bundle
+    });
+
+  } catch (error) {
+    console.error('Export app error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting app'
+    });
+  }
+});
+
+// @route   POST /api/apps/import
+// @desc    Import an app bundle, recreating its databases (body: bundle,
+//          workspaceId, name)
+// @access  Private
+router.post('/import', [
+  auth,
+  requireScope('apps:write'),
+  requireScope('databases:write'),
+  body('bundle')
+    .isObject()
+    .withMessage('bundle must be an app bundle object'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  body('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bundle, name, workspaceId } = req.body;
+
+    // Defaults to the user's personal workspace
+    const workspace = await resolveTargetWorkspace(workspaceId, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found or not writable'
+      });
+    }
+
+    if (name) {
+      const existingApp = await App.findOne({ name, workspace: workspace._id });
+      if (existingApp) {
+        return res.status(400).json({
+          success: false,
+          message: 'This workspace already has an app with this name'
+        });
+      }
+    }
+
+    // Checked before the bundle's databases are looked at below
+    const bundleErrors = validateBundle(bundle);
+    if (bundleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid app bundle',
+        errors: bundleErrors
+      });
+    }
+
+    const hasRecords = bundle.databases.some(database => {
+      return database.tables.some(table => Array.isArray(table.records) && table.records.length > 0);
+    });
+    if (hasRecords && req.apiKey && !req.apiKey.hasScope('records:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope: records:write'
+      });
+    }
+
+    const { app, databases, importedRecords, unresolvedDatabaseIds } = await importBundle(bundle, {
+      workspace,
+      userId: req.user.id,
+      name
+    });
+
+    await recordAudit(req, {
+      action: 'app.import',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        formatVersion: bundle.formatVersion,
+        databases: databases.map(database => database._id.toString()),
+        importedRecords,
+        unresolvedDatabaseIds
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'App imported successfully',
+      data: {
+        app,
+        databases,
+        importedRecords,
+        unresolvedDatabaseIds
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'invalid_bundle') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Import app error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing app'
+    });
+  }
+});
+
+// @route   PUT /api/apps/:id/template
+// @desc    Mark or unmark an app as a template (body: isTemplate, visibility,
+//          category)
+// @access  Private
+router.put('/:id/template', [
+  auth,
+  requireScope('apps:write'),
+  body('isTemplate')
+    .isBoolean()
+    .withMessage('isTemplate must be a boolean'),
+  body('visibility')
+    .optional()
+    .isIn(['workspace', 'public'])
+    .withMessage('Visibility must be either workspace or public'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category cannot be more than 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const app = await loadAppWithRole(req, res, 'admin');
+    if (!app) return;
+
+    const before = {
+      isTemplate: app.isTemplate,
+      templateVisibility: app.templateVisibility,
+      templateCategory: app.templateCategory
+    };
+
+    app.isTemplate = req.body.isTemplate === true || req.body.isTemplate === 'true';
+    if (req.body.visibility) app.templateVisibility = req.body.visibility;
+    if (req.body.category !== undefined) app.templateCategory = req.body.category;
+
+    await app.save();
+
+    await recordAudit(req, {
+      action: app.isTemplate ? 'app.template.mark' : 'app.template.unmark',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: diffFields(before, {
+        isTemplate: app.isTemplate,
+        templateVisibility: app.templateVisibility,
+        templateCategory: app.templateCategory
+      }, ['isTemplate', 'templateVisibility', 'templateCategory'])
+    });
+
+    res.json({
+      success: true,
+      message: app.isTemplate ? 'App is now a template' : 'App is no longer a template',
+      data: {
+        isTemplate: app.isTemplate,
+        templateVisibility: app.templateVisibility,
+        templateCategory: app.templateCategory
+      }
+    });
+
+  } catch (error) {
+    console.error('Update app template error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating app template'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/validate
+// @desc    Validate the stored screen tree and list invalid nodes
+// @access  Private
+router.get('/:id/validate', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const errors = validateScreens(app.screens.toObject(), app.homeScreenId);
+
+    res.json({
+      success: true,
+      data: {
+        valid: errors.length === 0,
+        version: app.version,
+        errors
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate app error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error validating app'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/references
+// @desc    Check the app's references to databases, tables and columns and
+//          list the broken ones (deleted database, table or column)
+// @access  Private
+router.get('/:id/references', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const content = AppVersion.captureContent(app);
+    const references = collectDataReferences(content);
+
+    // Referenced databases, plus the workspace's for references naming only a table
+    const databaseIds = [...new Set(references.map(reference => reference.databaseId).filter(Boolean))]
+      .filter(id => mongoose.isValidObjectId(id));
+    const databaseQuery = references.some(reference => !reference.databaseId)
+      ? { $or: [{ _id: { $in: databaseIds } }, { workspace: app.workspace }] }
+      : { _id: { $in: databaseIds } };
+    const databases = await Database.find({ ...databaseQuery, status: 'active' }).select('name tables');
+    const databasesById = new Map(databases.map(database => [database._id.toString(), database]));
+
+    const broken = findBrokenReferences(references, databasesById);
+
+    // Apps saved before the dependency index existed get it here
+    const dependencies = buildDependencyIndex(content);
+    if (JSON.stringify(dependencies) !== JSON.stringify(app.toObject().dataDependencies)) {
+      await App.updateOne({ _id: app._id }, { dataDependencies: dependencies }, { timestamps: false });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: broken.length === 0,
+        version: app.version,
+        references: references.length,
+        dependencies,
+        broken
+      }
+    });
+
+  } catch (error) {
+    console.error('Check app references error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking app references'
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/views
+// @desc    Record a screen view of a published app (body: screenId)
+// @access  Public
+router.post('/:id/views', viewIpLimiter, async (req, res) => {
+  try {
+    const app = await App.findOne({ _id: req.params.id, isPublished: true });
+    const screenId = Number(req.body.screenId);
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const publication = await getLivePublication(app);
+    if (!(publication.screens || []).some(screen => screen.id === screenId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    await AppViewStat.recordView(app._id, screenId, req);
+
+    res.json({
+      success: true,
+      message: 'View recorded'
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    console.error('Record screen view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording view'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/analytics
+// @desc    Daily views and unique visitor estimates of the app and its
+//          screens for the last ?days= days (default 30, max 365)
+// @access  Private
+router.get('/:id/analytics', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const stats = await AppViewStat.find({ app: app._id, date: { $gte: since } }).sort({ day: 1 });
+
+    const appStats = stats.filter(stat => stat.screenId === null);
+    const daily = appStats.map(stat => ({
+      day: stat.day,
+      views: stat.views,
+      uniqueVisitors: estimateCardinality(stat.visitors)
+    }));
+
+    // Per screen totals; unique visitors over the range come from merged sketches
+    const screens = app.screens.map(screen => {
+      const screenStats = stats.filter(stat => stat.screenId === screen.id);
+      return {
+        screenId: screen.id,
+        name: screen.name,
+        views: screenStats.reduce((sum, stat) => sum + stat.views, 0),
+        uniqueVisitors: estimateCardinality(mergeRegisters(screenStats.map(stat => stat.visitors))),
+        daily: screenStats.map(stat => ({
+          day: stat.day,
+          views: stat.views,
+          uniqueVisitors: estimateCardinality(stat.visitors)
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totalViews: app.views,
+        range: {
+          from: since.toISOString().slice(0, 10),
+          days
+        },
+        views: appStats.reduce((sum, stat) => sum + stat.views, 0),
+        uniqueVisitors: estimateCardinality(mergeRegisters(appStats.map(stat => stat.visitors))),
+        daily,
+        screens
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch app analytics error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching app analytics'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/publications
+// @desc    List publications of an app (without content); `live` marks the
+//          one served to end users
+// @access  Private
+router.get('/:id/publications', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const publications = await AppPublication.find({ app: app._id })
+      .select('number version rolledBackFrom publishedBy publishedAt')
+      .populate('publishedBy', 'name email')
+      .sort({ number: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        isPublished: app.isPublished,
+        publications: publications.map(publication => ({
+          ...publication.toObject(),
+          live: app.isPublished && String(publication._id) === String(app.publishedSnapshot)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get app publications error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching app publications'
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/publications/:number/rollback
+// @desc    Serve a previously published snapshot again (recorded as a new
+//          publication; the draft is not changed)
+// @access  Private
+router.post('/:id/publications/:number/rollback', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'editor');
+    if (!app) return;
+
+    if (!app.isPublished) {
+      return res.status(400).json({
+        success: false,
+        message: 'App is not published; publish it to serve a snapshot'
+      });
+    }
+
+    const target = await AppPublication.findOne({
+      app: app._id,
+      number: parseInt(req.params.number, 10)
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Publication not found'
+      });
+    }
+
+    const previous = app.publishedSnapshot
+      ? await AppPublication.findById(app.publishedSnapshot).select('number')
+      : null;
+
+    const publication = await AppPublication.publish(app, target, req.user.id, {
+      version: target.version,
+      rolledBackFrom: target.number
+    });
+
+    app.publishedSnapshot = publication._id;
+    try {
+      await app.save();
+    } catch (saveError) {
+      await AppPublication.deleteOne({ _id: publication._id });
+      throw saveError;
+    }
+
+    await recordAudit(req, {
+      action: 'app.publication.rollback',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        publication: { from: previous ? previous.number : null, to: publication.number },
+        rolledBackFrom: target.number,
+        version: target.version
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Publication ${target.number} is live again as publication ${publication.number}`,
+      data: {
+        isPublished: app.isPublished,
+        publication: {
+          number: publication.number,
+          version: publication.version,
+          rolledBackFrom: publication.rolledBackFrom,
+          publishedAt: publication.publishedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Rollback app publication error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error rolling back publication'
+    });
+  }
+});
+
+// Plain custom domain entry with the DNS record needed to verify it
+const toDomainView = (entry) => ({
+  domain: entry.domain,
+  status: entry.status,
+  verifiedAt: entry.verifiedAt,
+  lastCheckedAt: entry.lastCheckedAt,
+  lastError: entry.lastError,
+  verificationRecord: getVerificationRecord(entry)
+});
+
+// Another app already serving the domain (verified), if any
+const findDomainOwner = (domain, appId) => App.findOne({
+  _id: { $ne: appId },
+  customDomains: { $elemMatch: { domain, status: 'verified' } }
+}).select('_id');
+
+// @route   GET /api/apps/:id/domains
+// @desc    List custom domains with their verification records
+// @access  Private
+router.get('/:id/domains', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    res.json({
+      success: true,
+      data: app.customDomains.map(toDomainView)
+    });
+
+  } catch (error) {
+    console.error('Get app domains error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching custom domains'
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/domains
+// @desc    Add a custom domain; it is served once its TXT record is verified
+// @access  Private
+router.post('/:id/domains', [
+  auth,
+  requireScope('apps:write'),
+  body('domain')
+    .isString()
+    .customSanitizer(normalizeDomain)
+    .custom(isValidDomain)
+    .withMessage('Please enter a valid domain name, e.g. app.example.com')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const app = await loadAppWithRole(req, res, 'admin');
+    if (!app) return;
+
+    const { domain } = req.body;
+
+    if (app.customDomains.some(entry => entry.domain === domain)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain is already added to the app'
+      });
+    }
+
+    if (app.customDomains.length >= MAX_DOMAINS_PER_APP) {
+      return res.status(400).json({
+        success: false,
+        message: `An app can have at most ${MAX_DOMAINS_PER_APP} custom domains`
+      });
+    }
+
+    if (await findDomainOwner(domain, app._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain is already in use by another app'
+      });
+    }
+
+    app.customDomains.push({ domain, verificationToken: generateVerificationToken() });
+    await app.save();
+
+    const entry = app.customDomains.find(item => item.domain === domain);
+
+    await recordAudit(req, {
+      action: 'app.domain.add',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: { domain }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain added. Create the TXT record and verify the domain to serve the app on it.',
+      data: toDomainView(entry)
+    });
+
+  } catch (error) {
+    console.error('Add app domain error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding custom domain'
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/domains/:domain/verify
+// @desc    Check the domain's DNS TXT record and mark it verified
+// @access  Private
+router.post('/:id/domains/:domain/verify', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'admin');
+    if (!app) return;
+
+    const domain = normalizeDomain(req.params.domain);
+    const entry = app.customDomains.find(item => item.domain === domain);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    const wasVerified = entry.status === 'verified';
+    const result = await checkVerificationRecord(entry);
+
+    if (result.verified && await findDomainOwner(domain, app._id)) {
+      result.verified = false;
+      result.error = 'This domain is already in use by another app';
+    }
+
+    entry.status = result.verified ? 'verified' : 'failed';
+    entry.verifiedAt = result.verified ? (entry.verifiedAt || new Date()) : null;
+    entry.lastCheckedAt = new Date();
+    entry.lastError = result.error;
+    await app.save();
+
+    if (wasVerified !== result.verified) {
+      invalidateDomainCache();
+
+      await recordAudit(req, {
+        action: result.verified ? 'app.domain.verify' : 'app.domain.unverify',
+        target: { type: 'app', id: app._id.toString(), name: app.name },
+        app: app._id,
+        workspace: app.workspace,
+        diff: { domain, status: { from: wasVerified ? 'verified' : 'pending', to: entry.status } }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.verified ? 'Domain verified' : `Domain could not be verified: ${result.error}`,
+      data: toDomainView(entry)
+    });
+
+  } catch (error) {
+    console.error('Verify app domain error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying custom domain'
+    });
+  }
+});
+
+// @route   DELETE /api/apps/:id/domains/:domain
+// @desc    Remove a custom domain
+// @access  Private
+router.delete('/:id/domains/:domain', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'admin');
+    if (!app) return;
+
+    const domain = normalizeDomain(req.params.domain);
+    const entry = app.customDomains.find(item => item.domain === domain);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Domain not found'
+      });
+    }
+
+    app.customDomains = app.customDomains.filter(item => item.domain !== domain);
+    await app.save();
+
+    if (entry.status === 'verified') {
+      invalidateDomainCache();
+    }
+
+    await recordAudit(req, {
+      action: 'app.domain.remove',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: { domain, status: entry.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Domain removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove app domain error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing custom domain'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/versions
+// @desc    List stored versions of an app (without content)
+// @access  Private
+router.get('/:id/versions', [
+  auth,
+  requireScope('apps:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 20, 10);
+    const skip = (page - 1) * limit;
+
+    const versions = await AppVersion.aggregate([
+      { $match: { app: app._id } },
+      { $sort: { version: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          version: 1,
+          source: 1,
+          restoredFrom: 1,
+          createdBy: 1,
+          createdAt: 1,
+          screenCount: { $size: { $ifNull: ['$screens', []] } },
+          screenNames: { $ifNull: ['$screens.name', []] }
+        }
+      }
+    ]);
+
+    await AppVersion.populate(versions, { path: 'createdBy', select: 'name email' });
+
+    const total = await AppVersion.countDocuments({ app: app._id });
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: app.version,
+        versions,
+        retention: {
+          maxVersions: AppVersion.RETENTION_COUNT,
+          maxAgeDays: AppVersion.RETENTION_MAX_AGE_DAYS || null
+        }
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get app versions error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching app versions'
+    });
+  }
+});
+
+// @route   GET /api/apps/:id/versions/:version
+// @desc    Get a stored version of an app with its content
+// @access  Private
+router.get('/:id/versions/:version', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'viewer');
+    if (!app) return;
+
+    const version = await AppVersion.findOne({
+      app: app._id,
+      version: parseInt(req.params.version, 10)
+    }).populate('createdBy', 'name email');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (error) {
+    console.error('Get app version error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching app version'
+    });
+  }
+});
+
+// @route   POST /api/apps/:id/versions/:version/restore
+// @desc    Restore an old version as a new version (history is kept)
+// @access  Private
+router.post('/:id/versions/:version/restore', auth, requireScope('apps:write'), async (req, res) => {
+  try {
+    const app = await loadAppWithRole(req, res, 'editor');
+    if (!app) return;
+
+    const version = await AppVersion.findOne({
+      app: app._id,
+      version: parseInt(req.params.version, 10)
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await AppVersion.ensureSnapshot(app, req.user.id);
+
+    const beforeScreens = app.screens.toObject();
+    const previousVersion = app.version;
+
+    app.screens = version.screens;
+    app.homeScreenId = version.homeScreenId;
+    app.settings = version.settings;
+    app.calculations = version.calculations;
+    app.version += 1;
+
+    if (!await saveIfUnchanged(app, previousVersion)) {
+      const current = await App.findById(app._id);
+      return sendVersionConflict(res, current, previousVersion);
+    }
+    await AppVersion.snapshot(app, req.user.id, { source: 'restore', restoredFrom: version.version });
+
+    await recordAudit(req, {
+      action: 'app.version.restore',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        restoredFrom: version.version,
+        version: { from: previousVersion, to: app.version },
+        screens: summarizeScreenChanges(beforeScreens, app.screens)
+      }
+    });
+
+    setVersionEtag(res, app);
+
+    res.json({
+      success: true,
+      message: `Version ${version.version} restored as version ${app.version}`,
+      data: app
+    });
+
+  } catch (error) {
+    console.error('Restore app version error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error restoring app version'
+    });
+  }
+});
+
 module.exports = router;
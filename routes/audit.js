@@ -0,0 +1,126 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const App = require('../models/App');
+const Database = require('../models/Database');
+const Workspace = require('../models/Workspace');
+const { auth, requireScope } = require('../middleware/auth');
+const { findWithWorkspaceRole, sendForbidden } = require('../utils/workspaceAccess');
+
+const router = express.Router();
+
+// Helper to send 404 for an app/database/workspace the user cannot see
+const sendNotFound = (res, label) => {
+  return res.status(404).json({
+    success: false,
+    message: `${label} not found`
+  });
+};
+
+// @route   GET /api/audit
+// @desc    Query audit events. Filtering by app, database or workspace requires
+//          the admin role in its workspace; without a scope filter users only
+//          see their own events (system admins see everything). Events of
+//          deleted apps/databases stay reachable through the workspace filter.
+// @access  Private
+router.get('/', [
+  auth,
+  requireScope('audit:read'),
+  query('appId').optional().isMongoId().withMessage('Invalid app ID'),
+  query('databaseId').optional().isMongoId().withMessage('Invalid database ID'),
+  query('workspaceId').optional().isMongoId().withMessage('Invalid workspace ID'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetType').optional().isIn(AuditEvent.schema.path('target.type').enumValues).withMessage('Invalid target type'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1, limit = 50, appId, databaseId, workspaceId, actor, action, targetType, from, to
+    } = req.query;
+    const skip = (page - 1) * limit;
+    const isSystemAdmin = req.user.role === 'admin' && !req.apiKey;
+
+    const filter = {};
+
+    if (appId) {
+      filter.app = appId;
+      if (!isSystemAdmin) {
+        const { doc: app, role } = await findWithWorkspaceRole(App, { _id: appId }, req.user.id);
+        if (!app) return sendNotFound(res, 'App');
+        if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+      }
+    }
+
+    if (databaseId) {
+      filter.database = databaseId;
+      if (!isSystemAdmin) {
+        const { doc: database, role } = await findWithWorkspaceRole(Database, { _id: databaseId }, req.user.id);
+        if (!database) return sendNotFound(res, 'Database');
+        if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+      }
+    }
+
+    if (workspaceId) {
+      filter.workspace = workspaceId;
+      if (!isSystemAdmin) {
+        const role = await Workspace.getUserRole(workspaceId, req.user.id);
+        if (!role) return sendNotFound(res, 'Workspace');
+        if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+      }
+    }
+
+    const hasScopeFilter = Boolean(appId || databaseId || workspaceId);
+    if (!isSystemAdmin && !hasScopeFilter) {
+      filter.actor = req.user._id;
+    } else if (actor) {
+      filter.actor = actor;
+    }
+
+    if (action) filter.action = String(action);
+    if (targetType) filter['target.type'] = targetType;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const events = await AuditEvent.find(filter)
+      .populate('actor', 'name email')
+      .populate('impersonatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip(skip);
+
+    const total = await AuditEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Fetch audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching audit events'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const SystemSettings = require('../models/SystemSettings');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, denyImpersonation } = require('../middleware/auth');
+const {
+  loginIpLimiter,
+  loginEmailLimiter,
+  registerIpLimiter,
+  registerEmailLimiter,
+  emailIpLimiter,
+  emailLimiter
+} = require('../middleware/rateLimits');
+const { issueTokens, rotateRefreshToken, generateChallengeToken } = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionEmail } = require('../utils/emails');
+const { scheduleAccountDeletion } = require('../utils/accountDeletion');
+const { recordAudit, userTarget, diffFields } = require('../utils/audit');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
-};
-
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
 router.post('/register', [
+  registerIpLimiter,
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -25,6 +33,8 @@ router.post('/register', [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please enter a valid email'),
+  // Counted on the normalized address, like the account lookup
+  registerEmailLimiter,
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
@@ -58,22 +68,38 @@ router.post('/register', [
       password
     });
 
-    // Update last login
+    // Update last login and create email verification token
     user.lastLogin = new Date();
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Don't fail registration if the email cannot be sent; it can be resent later
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Create session and generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.register',
+      actor: user._id,
+      target: userTarget(user)
+    });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
 
@@ -90,10 +116,13 @@ router.post('/register', [
 // @desc    Login user
 // @access  Public  
 router.post('/login', [
+  loginIpLimiter,
   body('email')
     .isEmail()
     .normalizeEmail()
     .withMessage('Please enter a valid email'),
+  // Counted on the normalized address, like the account lookup
+  loginEmailLimiter,
   body('password')
     .exists()
     .withMessage('Password is required')
@@ -114,6 +143,7 @@ router.post('/login', [
     // Check if user exists and include password in query
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await LoginAttempt.recordFailure(req, { email, reason: 'unknown_user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -122,37 +152,75 @@ router.post('/login', [
 
     // Check if user is active
     if (!user.isActive) {
+      await LoginAttempt.recordFailure(req, { email, user: user._id, reason: 'inactive' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
+    // Don't even check the password while the account is locked
+    if (user.isLocked()) {
+      await LoginAttempt.recordFailure(req, { email, user: user._id, reason: 'locked' });
+      return res.status(429).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
     // Check password
     const isPasswordMatch = await user.matchPassword(password);
     if (!isPasswordMatch) {
+      await user.registerFailedLogin();
+      await LoginAttempt.recordFailure(req, { email, user: user._id, reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
+    // With 2FA enabled, hand out a short-lived challenge instead of tokens.
+    // The client completes the login through POST /api/auth/2fa/login
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Update last login and clear lockout state
     user.lastLogin = new Date();
+    user.resetFailedLogins();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Create session and generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    const settings = await SystemSettings.getSettings();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user._id,
+      target: userTarget(user),
+      diff: { method: 'password' }
+    });
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      twoFactorSetupRequired: settings.requireTwoFactor,
+      deletionScheduledFor: user.deletionScheduledFor,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
 
@@ -185,7 +253,8 @@ router.get('/verify', auth, async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -216,4 +285,634 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/profile
+// @desc    Update name and/or email (a new email must be verified first and
+//          needs currentPassword)
+// @access  Private
+router.put('/profile', [
+  auth,
+  denyImpersonation,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, currentPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+    const before = { name: user.name, pendingEmail: user.pendingEmail };
+
+    if (name) user.name = name;
+
+    let verificationToken = null;
+    if (email && email !== user.email) {
+      // Changing the sign-in address needs the current password
+      if (!currentPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is required to change the email address'
+        });
+      }
+
+      const isPasswordMatch = await user.matchPassword(currentPassword);
+      if (!isPasswordMatch) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email address is already in use'
+        });
+      }
+
+      // Keep the current email until the new one is verified
+      user.pendingEmail = email;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      try {
+        await sendVerificationEmail(user, verificationToken, user.pendingEmail);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'auth.profile.update',
+      target: userTarget(user),
+      diff: diffFields(before, { name: user.name, pendingEmail: user.pendingEmail }, ['name', 'pendingEmail'])
+    });
+
+    res.json({
+      success: true,
+      message: verificationToken
+        ? 'Profile updated. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating profile'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password (requires the current password)
+// @access  Private
+router.put('/password', [
+  auth,
+  denyImpersonation,
+  body('currentPassword')
+    .exists()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.matchPassword(currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in, sign out every other one
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+
+    await recordAudit(req, {
+      action: 'auth.password.change',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error changing password'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Delete account with all apps and databases (after a grace period)
+// @access  Private
+router.delete('/account', [
+  auth,
+  body('password')
+    .exists()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Support staff must never delete an account while impersonating
+    if (req.impersonatedBy) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accounts cannot be deleted while impersonating'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.matchPassword(req.body.password);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user);
+
+    if (!scheduledFor) {
+      await recordAudit(req, {
+        action: 'auth.account.delete',
+        target: userTarget(user)
+      });
+
+      return res.json({
+        success: true,
+        message: 'Account deleted successfully'
+      });
+    }
+
+    try {
+      await sendAccountDeletionEmail(user);
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+
+    await recordAudit(req, {
+      action: 'auth.account.delete_scheduled',
+      target: userTarget(user),
+      diff: { deletionScheduledFor: scheduledFor }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account scheduled for deletion. Cancel it from your profile before the date below to keep your account.',
+      data: {
+        deletionScheduledFor: scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+// @route   POST /api/auth/account/cancel-deletion
+// @desc    Cancel scheduled account deletion
+// @access  Private
+router.post('/account/cancel-deletion', auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is not scheduled for deletion'
+      });
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.account.delete_cancelled',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling account deletion'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with token from verification email
+// @access  Public
+router.post('/verify-email', [
+  emailIpLimiter,
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Verifying a changed address makes it the account email
+    if (user.pendingEmail) {
+      const emailTaken = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        user.pendingEmail = null;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpire = undefined;
+        await user.save();
+        return res.status(400).json({
+          success: false,
+          message: 'This email address is already in use'
+        });
+      }
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+
+    // Tokens are single-use
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.email.verify',
+      actor: user._id,
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken, user.pendingEmail || user.email);
+
+    await recordAudit(req, {
+      action: 'auth.email.verification_sent',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset link
+// @access  Public
+router.post('/forgot-password', [
+  emailIpLimiter,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  // Counted on the normalized address, like the account lookup
+  emailLimiter
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only send if the account exists, but always answer the same way
+    // so the route cannot be used to find out which emails are registered
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+      }
+    }
+
+    if (user) {
+      await recordAudit(req, {
+        action: 'auth.password.reset_requested',
+        actor: null,
+        target: userTarget(user)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with token from reset email
+// @access  Public
+router.post('/reset-password', [
+  emailIpLimiter,
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.body.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Tokens are single-use
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    user.resetFailedLogins();
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await recordAudit(req, {
+      action: 'auth.password.reset',
+      actor: user._id,
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await result.session.revoke('user_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.token.refresh',
+      actor: user._id,
+      target: { type: 'session', id: result.session._id.toString(), name: null }
+    });
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      target: { type: 'session', id: req.authSession._id.toString(), name: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices (revokes every session of the user)
+// @access  Private
+router.post('/logout-all', auth, denyImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    await recordAudit(req, {
+      action: 'auth.logout_all',
+      target: userTarget(req.user),
+      diff: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
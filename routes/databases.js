@@ -1,21 +1,41 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Database = require('../models/Database');
-const { auth } = require('../middleware/auth');
+const App = require('../models/App');
+const Workspace = require('../models/Workspace');
+const { auth, requireScope } = require('../middleware/auth');
+const { findWithWorkspaceRole, resolveTargetWorkspace, sendForbidden } = require('../utils/workspaceAccess');
+const { recordAudit, diffFields } = require('../utils/audit');
+const { validateFieldValue, getDefaultValue } = require('../utils/fieldValues');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
 // @route   GET /api/databases
-// @desc    Get all databases for authenticated user
+// @desc    Get all databases in the user's workspaces (optionally ?workspaceId=)
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requireScope('databases:read'), async (req, res) => {
   try {
-    const databases = await Database.find({ 
-      owner: req.user.id,
+    const { workspaceId } = req.query;
+
+    const workspaceIds = await Workspace.getAccessibleIds(req.user.id);
+    const query = {
+      workspace: { $in: workspaceIds },
       status: 'active'
-    })
-      .select('name createdAt updatedAt mongoDbName')
+    };
+
+    if (workspaceId) {
+      if (!workspaceIds.some(id => id.toString() === workspaceId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+      query.workspace = workspaceId;
+    }
+
+    const databases = await Database.find(query)
+      .select('name workspace createdAt updatedAt mongoDbName')
       .sort({ updatedAt: -1 });
 
     res.json({
@@ -35,13 +55,12 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/databases/:id
 // @desc    Get single database by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('databases:read'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -77,10 +96,15 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireScope('databases:write'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Database name must be between 1 and 100 characters')
+    .withMessage('Database name must be between 1 and 100 characters'),
+  body('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -92,24 +116,40 @@ router.post('/', [
       });
     }
 
-    const { name } = req.body;
+    const { name, workspaceId } = req.body;
+
+    // Defaults to the user's personal workspace
+    const workspace = await resolveTargetWorkspace(workspaceId, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found or not writable'
+      });
+    }
 
-    // Check if user already has a database with this name
+    // Check if workspace already has a database with this name
     const existingDatabase = await Database.findOne({
       name,
-      owner: req.user.id,
+      workspace: workspace._id,
       status: 'active'
     });
 
     if (existingDatabase) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a database with this name'
+        message: 'This workspace already has a database with this name'
       });
     }
 
     // Create actual MongoDB database
-    const database = await Database.createUserDatabase(req.user.id, name);
+    const database = await Database.createUserDatabase(req.user.id, name, workspace._id);
+
+    await recordAudit(req, {
+      action: 'database.create',
+      target: { type: 'database', id: database._id.toString(), name: database.name },
+      database: database._id,
+      workspace: database.workspace
+    });
 
     res.status(201).json({
       success: true,
@@ -126,22 +166,79 @@ router.post('/', [
   }
 });
 
+// Apps using a database object, as shown in "used by" warnings. Apps of other
+// workspaces (e.g. copies that kept the original databases) are only counted.
+const describeDependents = (apps, workspaceId) => {
+  const ownApps = apps.filter(app => String(app.workspace) === String(workspaceId));
+  return {
+    apps: ownApps.map(app => ({ id: app._id, name: app.name, isPublished: app.isPublished })),
+    otherWorkspaceApps: apps.length - ownApps.length
+  };
+};
+
+// Send 409 when apps still use the database/table/column and the delete is not forced
+const sendUsedBy = (res, what, usedBy, total) => {
+  res.status(409).json({
+    success: false,
+    code: 'IN_USE',
+    message: `${what} is used by ${total} app(s); delete with force=true to delete it anyway`,
+    data: { usedBy }
+  });
+};
+
 // @route   DELETE /api/databases/:id
-// @desc    Delete database (drops actual MongoDB database)
+// @desc    Delete database (drops actual MongoDB database). Refused with 409
+//          while apps use it unless ?force=true.
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('databases:write'), async (req, res) => {
   try {
-    await Database.deleteUserDatabase(req.params.id, req.user.id);
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
+      _id: req.params.id
+    }, req.user.id);
+
+    if (!database) {
+      return res.status(404).json({
+        success: false,
+        message: 'Database not found'
+      });
+    }
+
+    if (!Workspace.hasRole(role, 'admin')) {
+      return sendForbidden(res, 'admin');
+    }
+
+    const dependents = await App.findUsingDatabase(database);
+    const usedBy = describeDependents(dependents, database.workspace);
+    if (dependents.length > 0 && req.query.force !== 'true') {
+      return sendUsedBy(res, `Database "${database.name}"`, usedBy, dependents.length);
+    }
+
+    await Database.deleteUserDatabase(database._id, database.owner);
+
+    await recordAudit(req, {
+      action: 'database.delete',
+      target: { type: 'database', id: database._id.toString(), name: database.name },
+      database: database._id,
+      workspace: database.workspace,
+      diff: {
+        tables: database.tables.map(table => table.name),
+        ...(dependents.length > 0 && { forcedWithDependents: dependents.length })
+      }
+    });
 
     res.json({
       success: true,
-      message: 'Database deleted successfully'
+      message: 'Database deleted successfully',
+      ...(dependents.length > 0 && {
+        warning: `${dependents.length} app(s) still reference this database`,
+        data: { usedBy }
+      })
     });
 
   } catch (error) {
     console.error('Delete database error:', error);
     
-    if (error.message === 'Database not found') {
+    if (error.message === 'Database not found' || error.name === 'CastError') {
       return res.status(404).json({
         success: false,
         message: 'Database not found'
@@ -155,16 +252,77 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/databases/:id/dependents
+// @desc    Apps using the database, with the tables and columns they use
+// @access  Private
+router.get('/:id/dependents', auth, requireScope('databases:read'), async (req, res) => {
+  try {
+    const { doc: database } = await findWithWorkspaceRole(Database, {
+      _id: req.params.id,
+      status: 'active'
+    }, req.user.id);
+
+    if (!database) {
+      return res.status(404).json({
+        success: false,
+        message: 'Database not found'
+      });
+    }
+
+    // Draft or live publication of the app
+    const apps = await App.findUsingDatabase(database);
+
+    const dependents = describeDependents(apps, database.workspace);
+    const appsById = new Map(apps.map(app => [app._id.toString(), app]));
+
+    res.json({
+      success: true,
+      data: {
+        apps: dependents.apps.map(entry => {
+          const { dataDependencies } = appsById.get(entry.id.toString());
+          return {
+            ...entry,
+            tables: database.tables
+              .filter(table => dataDependencies.tables.includes(table._id.toString()))
+              .map(table => ({
+                id: table._id,
+                name: table.name,
+                columns: dataDependencies.columns
+                  .filter(key => key.startsWith(`${table._id}:`))
+                  .map(key => key.slice(table._id.toString().length + 1))
+              }))
+          };
+        }),
+        otherWorkspaceApps: dependents.otherWorkspaceApps
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch database dependents error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Database not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching database dependents'
+    });
+  }
+});
+
 // @route   GET /api/databases/:id/tables
 // @desc    Get all tables for a database
 // @access  Private
-router.get('/:id/tables', auth, async (req, res) => {
+router.get('/:id/tables', auth, requireScope('databases:read'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    }).select('tables');
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -192,6 +350,7 @@ router.get('/:id/tables', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/tables', [
   auth,
+  requireScope('databases:write'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -209,11 +368,10 @@ router.post('/:id/tables', [
 
     const { name } = req.body;
 
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -222,6 +380,10 @@ router.post('/:id/tables', [
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     // Check if table name already exists
     const existingTable = database.tables.find(table => table.name === name);
     if (existingTable) {
@@ -233,6 +395,13 @@ router.post('/:id/tables', [
 
     const newTable = await database.addTable(name);
 
+    await recordAudit(req, {
+      action: 'database.table.create',
+      target: { type: 'table', id: newTable._id.toString(), name: newTable.name },
+      database: database._id,
+      workspace: database.workspace
+    });
+
     res.status(201).json({
       success: true,
       message: 'Table created successfully',
@@ -249,15 +418,15 @@ router.post('/:id/tables', [
 });
 
 // @route   DELETE /api/databases/:id/tables/:tableId
-// @desc    Delete table from database (drops actual collection)
+// @desc    Delete table from database (drops actual collection). Refused with
+//          409 while apps use it unless ?force=true.
 // @access  Private
-router.delete('/:id/tables/:tableId', auth, async (req, res) => {
+router.delete('/:id/tables/:tableId', auth, requireScope('databases:write'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -266,6 +435,10 @@ router.delete('/:id/tables/:tableId', auth, async (req, res) => {
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -274,11 +447,32 @@ router.delete('/:id/tables/:tableId', auth, async (req, res) => {
       });
     }
 
+    const tableName = table.name;
+    const tableColumns = table.columns.map(column => column.name);
+
+    const dependents = await App.findUsingTable(req.params.tableId);
+    const usedBy = describeDependents(dependents, database.workspace);
+    if (dependents.length > 0 && req.query.force !== 'true') {
+      return sendUsedBy(res, `Table "${tableName}"`, usedBy, dependents.length);
+    }
+
     await database.removeTable(req.params.tableId);
 
+    await recordAudit(req, {
+      action: 'database.table.delete',
+      target: { type: 'table', id: req.params.tableId, name: tableName },
+      database: database._id,
+      workspace: database.workspace,
+      diff: { columns: tableColumns, ...(dependents.length > 0 && { forcedWithDependents: dependents.length }) }
+    });
+
     res.json({
       success: true,
-      message: 'Table deleted successfully'
+      message: 'Table deleted successfully',
+      ...(dependents.length > 0 && {
+        warning: `${dependents.length} app(s) still reference this table`,
+        data: { usedBy }
+      })
     });
 
   } catch (error) {
@@ -293,13 +487,12 @@ router.delete('/:id/tables/:tableId', auth, async (req, res) => {
 // @route   GET /api/databases/:id/tables/:tableId/columns
 // @desc    Get all columns for a table
 // @access  Private
-router.get('/:id/tables/:tableId/columns', auth, async (req, res) => {
+router.get('/:id/tables/:tableId/columns', auth, requireScope('databases:read'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -335,6 +528,7 @@ router.get('/:id/tables/:tableId/columns', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/tables/:tableId/columns', [
   auth,
+  requireScope('databases:write'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 50 })
@@ -355,11 +549,10 @@ router.post('/:id/tables/:tableId/columns', [
 
     const { name, type } = req.body;
 
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -368,6 +561,10 @@ router.post('/:id/tables/:tableId/columns', [
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -387,6 +584,14 @@ router.post('/:id/tables/:tableId/columns', [
 
     const newColumn = await database.addColumn(req.params.tableId, { name, type });
 
+    await recordAudit(req, {
+      action: 'database.column.create',
+      target: { type: 'column', id: newColumn._id.toString(), name: newColumn.name },
+      database: database._id,
+      workspace: database.workspace,
+      diff: { table: table.name, type: newColumn.type }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Column created successfully',
@@ -403,15 +608,15 @@ router.post('/:id/tables/:tableId/columns', [
 });
 
 // @route   DELETE /api/databases/:id/tables/:tableId/columns/:columnId
-// @desc    Delete column from table
+// @desc    Delete column from table. Refused with 409 while apps use it
+//          unless ?force=true.
 // @access  Private
-router.delete('/:id/tables/:tableId/columns/:columnId', auth, async (req, res) => {
+router.delete('/:id/tables/:tableId/columns/:columnId', auth, requireScope('databases:write'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -420,6 +625,10 @@ router.delete('/:id/tables/:tableId/columns/:columnId', auth, async (req, res) =
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -436,11 +645,32 @@ router.delete('/:id/tables/:tableId/columns/:columnId', auth, async (req, res) =
       });
     }
 
+    const columnName = column.name;
+    const columnType = column.type;
+
+    const dependents = await App.findUsingTable(req.params.tableId, columnName);
+    const usedBy = describeDependents(dependents, database.workspace);
+    if (dependents.length > 0 && req.query.force !== 'true') {
+      return sendUsedBy(res, `Column "${columnName}"`, usedBy, dependents.length);
+    }
+
     await database.removeColumn(req.params.tableId, req.params.columnId);
 
+    await recordAudit(req, {
+      action: 'database.column.delete',
+      target: { type: 'column', id: req.params.columnId, name: columnName },
+      database: database._id,
+      workspace: database.workspace,
+      diff: { table: table.name, type: columnType, ...(dependents.length > 0 && { forcedWithDependents: dependents.length }) }
+    });
+
     res.json({
       success: true,
-      message: 'Column deleted successfully'
+      message: 'Column deleted successfully',
+      ...(dependents.length > 0 && {
+        warning: `${dependents.length} app(s) still reference this column`,
+        data: { usedBy }
+      })
     });
 
   } catch (error) {
@@ -455,13 +685,12 @@ router.delete('/:id/tables/:tableId/columns/:columnId', auth, async (req, res) =
 // @route   GET /api/databases/:id/tables/:tableId/records
 // @desc    Get all records for a table (from actual collection)
 // @access  Private
-router.get('/:id/tables/:tableId/records', auth, async (req, res) => {
+router.get('/:id/tables/:tableId/records', auth, requireScope('records:read'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -512,13 +741,12 @@ router.get('/:id/tables/:tableId/records', auth, async (req, res) => {
 // @route   POST /api/databases/:id/tables/:tableId/records
 // @desc    Create new record in table (insert into actual collection)
 // @access  Private
-router.post('/:id/tables/:tableId/records', auth, async (req, res) => {
+router.post('/:id/tables/:tableId/records', auth, requireScope('records:write'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -527,6 +755,10 @@ router.post('/:id/tables/:tableId/records', auth, async (req, res) => {
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -562,6 +794,14 @@ router.post('/:id/tables/:tableId/records', auth, async (req, res) => {
       
       // Get the inserted record
       const newRecord = await collection.findOne({ _id: result.insertedId });
+
+      await recordAudit(req, {
+        action: 'database.record.create',
+        target: { type: 'record', id: result.insertedId.toString(), name: table.name },
+        database: database._id,
+        workspace: database.workspace,
+        diff: { table: table.name, fields: Object.keys(recordData) }
+      });
       
       res.status(201).json({
         success: true,
@@ -584,13 +824,12 @@ router.post('/:id/tables/:tableId/records', auth, async (req, res) => {
 // @route   PUT /api/databases/:id/tables/:tableId/records/:recordId
 // @desc    Update record in table (update in actual collection)
 // @access  Private
-router.put('/:id/tables/:tableId/records/:recordId', auth, async (req, res) => {
+router.put('/:id/tables/:tableId/records/:recordId', auth, requireScope('records:write'), async (req, res) => {
   try {
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -599,6 +838,10 @@ router.put('/:id/tables/:tableId/records/:recordId', auth, async (req, res) => {
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -629,6 +872,7 @@ router.put('/:id/tables/:tableId/records/:recordId', auth, async (req, res) => {
       const db = userConnection.db;
       const collection = db.collection(table.name);
       const objectId = new mongoose.Types.ObjectId(req.params.recordId);
+      const previousRecord = await collection.findOne({ _id: objectId });
       
       const result = await collection.updateOne(
         { _id: objectId },
@@ -645,6 +889,14 @@ router.put('/:id/tables/:tableId/records/:recordId', auth, async (req, res) => {
       // Get updated record
       const updatedRecord = await collection.findOne({ _id: objectId });
 
+      await recordAudit(req, {
+        action: 'database.record.update',
+        target: { type: 'record', id: req.params.recordId, name: table.name },
+        database: database._id,
+        workspace: database.workspace,
+        diff: diffFields(previousRecord || {}, updateData, Object.keys(updateData))
+      });
+
       res.json({
         success: true,
         message: 'Record updated successfully',
@@ -668,6 +920,7 @@ router.put('/:id/tables/:tableId/records/:recordId', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/tables/:tableId/records/delete-multiple', [
   auth,
+  requireScope('records:write'),
   body('recordIds')
     .isArray({ min: 1 })
     .withMessage('recordIds must be a non-empty array')
@@ -684,11 +937,10 @@ router.post('/:id/tables/:tableId/records/delete-multiple', [
 
     const { recordIds } = req.body;
 
-    const database = await Database.findOne({
+    const { doc: database, role } = await findWithWorkspaceRole(Database, {
       _id: req.params.id,
-      owner: req.user.id,
       status: 'active'
-    });
+    }, req.user.id);
 
     if (!database) {
       return res.status(404).json({
@@ -697,6 +949,10 @@ router.post('/:id/tables/:tableId/records/delete-multiple', [
       });
     }
 
+    if (!Workspace.hasRole(role, 'editor')) {
+      return sendForbidden(res, 'editor');
+    }
+
     const table = database.tables.id(req.params.tableId);
     if (!table) {
       return res.status(404).json({
@@ -723,6 +979,14 @@ router.post('/:id/tables/:tableId/records/delete-multiple', [
         _id: { $in: objectIds }
       });
 
+      await recordAudit(req, {
+        action: 'database.record.delete',
+        target: { type: 'record', id: null, name: table.name },
+        database: database._id,
+        workspace: database.workspace,
+        diff: { table: table.name, recordIds, deletedCount: result.deletedCount }
+      });
+
       res.json({
         success: true,
         message: `${result.deletedCount} record(s) deleted successfully`
@@ -740,35 +1004,4 @@ router.post('/:id/tables/:tableId/records/delete-multiple', [
   }
 });
 
-// Helper functions for data validation
-function validateFieldValue(value, type) {
-  switch (type) {
-    case 'number':
-      const num = Number(value);
-      return isNaN(num) ? 0 : num;
-    case 'boolean':
-      return Boolean(value);
-    case 'date':
-      const date = new Date(value);
-      return isNaN(date.getTime()) ? new Date() : date;
-    case 'string':
-    default:
-      return String(value || '');
-  }
-}
-
-function getDefaultValue(type) {
-  switch (type) {
-    case 'number':
-      return 0;
-    case 'boolean':
-      return false;
-    case 'date':
-      return new Date();
-    case 'string':
-    default:
-      return '';
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,43 @@
+const express = require('express');
+const { normalizeDomain, findAppByDomain } = require('../utils/customDomains');
+const { getLivePublication, toPublishedView } = require('../utils/publishedApp');
+
+const router = express.Router();
+
+// @route   GET /api/domains/resolve
+// @desc    Resolve a custom domain to its published app (?host=, defaults to
+//          the X-Forwarded-Host/Host header of the request)
+// @access  Public
+router.get('/resolve', async (req, res) => {
+  try {
+    const host = normalizeDomain(req.query.host || req.get('X-Forwarded-Host') || req.get('Host'));
+
+    const app = host ? await findAppByDomain(host) : null;
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'No published app is served on this domain'
+      });
+    }
+
+    const publication = await getLivePublication(app);
+
+    res.json({
+      success: true,
+      data: {
+        domain: host,
+        app: toPublishedView(app, publication)
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resolving domain'
+    });
+  }
+});
+
+module.exports = router;
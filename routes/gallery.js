@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const App = require('../models/App');
+const { getLivePublication, toPublishedView } = require('../utils/publishedApp');
+
+const router = express.Router();
+
+// Fields shown in the public gallery
+const GALLERY_FIELDS = 'name description appType icon slug subdomain views publishedAt owner';
+
+// @route   GET /api/gallery
+// @desc    List public, published apps (search, sort=recent|popular, pagination)
+// @access  Public
+router.get('/', [
+  query('sort').optional().isIn(['recent', 'popular']).withMessage('Sort must be either recent or popular'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 12, search = '', sort = 'recent' } = req.query;
+    const skip = (page - 1) * limit;
+
+    const apps = await App.findPublicApps(limit * 1, skip, { search: String(search), sort })
+      .select(GALLERY_FIELDS);
+
+    const total = await App.countPublicApps(String(search));
+
+    res.json({
+      success: true,
+      data: apps,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch gallery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching gallery'
+    });
+  }
+});
+
+// @route   GET /api/gallery/:slug
+// @desc    Get a public, published app by slug (content of the live publication)
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const app = await App.findOne({
+      slug: req.params.slug,
+      isPublic: true,
+      isPublished: true
+    }).populate('owner', 'name');
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    const publication = await getLivePublication(app);
+    const view = toPublishedView(app, publication);
+
+    res.json({
+      success: true,
+      data: {
+        ...Object.fromEntries(GALLERY_FIELDS.split(' ').map(field => [field, view[field]])),
+        _id: view._id,
+        homeScreenId: view.homeScreenId,
+        screens: view.screens,
+        publication: view.publication
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch gallery app error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching app'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const LoginAttempt = require('../models/LoginAttempt');
+const { issueTokens, generateChallengeToken } = require('../utils/tokens');
+const { loginIpLimiter } = require('../middleware/rateLimits');
+const oidc = require('../utils/oidc');
+const { recordAudit, userTarget } = require('../utils/audit');
+
+const router = express.Router();
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// httpOnly cookie tying a pending login to the browser that started it
+const BINDING_COOKIE = 'oidc_binding';
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const hashBinding = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const bindingCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: req.baseUrl
+});
+
+// Value of the binding cookie sent with the request, or null
+const readBindingCookie = (req) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const index = cookie.indexOf('=');
+    if (index !== -1 && cookie.slice(0, index).trim() === BINDING_COOKIE) {
+      return cookie.slice(index + 1).trim();
+    }
+  }
+  return null;
+};
+
+// Whether the request comes from the browser that started the login
+const matchesBinding = (req, loginState) => {
+  const binding = readBindingCookie(req);
+  if (!binding || !loginState.browserBindingHash) return false;
+  const expected = Buffer.from(loginState.browserBindingHash);
+  const actual = Buffer.from(hashBinding(binding));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Only allow returning to a path on our own client. Backslashes are
+// rejected too since browsers read "/\host" as "//host".
+const sanitizeRedirect = (redirectTo) => {
+  return typeof redirectTo === 'string' && /^\/(?!\/)/.test(redirectTo) && !redirectTo.includes('\\')
+    ? redirectTo
+    : '/';
+};
+
+// Same normalization as the body('email').normalizeEmail() checks of
+// register and login, so SSO finds the account created there. Null for
+// anything that is not an email address.
+const normalizeEmail = async (email) => {
+  const request = { body: { email } };
+  const result = await body('email').isEmail().normalizeEmail().run(request);
+  return result.isEmpty() ? request.body.email : null;
+};
+
+// Send the result back to the client app. Tokens go in the URL fragment so
+// they are never sent to a server or written to access logs.
+const redirectToClient = (res, params) => {
+  const fragment = new URLSearchParams(params).toString();
+  return res.redirect(`${getClientUrl()}/auth/callback#${fragment}`);
+};
+
+// Find user by linked identity, link by verified email, or create a new user
+const findOrCreateUser = async (claims, issuer) => {
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { issuer, subject: claims.sub } }
+  });
+  if (linkedUser) return linkedUser;
+
+  const email = typeof claims.email === 'string' ? await normalizeEmail(claims.email) : null;
+  // Unverified provider emails could be used to take over an existing account
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!email) {
+    throw Object.assign(new Error('Identity provider did not return an email address'), { code: 'email_missing' });
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    if (!emailVerified) {
+      throw Object.assign(new Error('Email is not verified by the identity provider'), { code: 'email_unverified' });
+    }
+    existingUser.identities.push({ issuer, subject: claims.sub });
+    existingUser.emailVerified = true;
+    await existingUser.save();
+    return existingUser;
+  }
+
+  const name = (claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0])
+    .slice(0, 50);
+
+  return User.create({
+    name: name.length >= 2 ? name : email.split('@')[0],
+    email,
+    // Random password; the user can set one through forgot-password
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified,
+    identities: [{ issuer, subject: claims.sub }]
+  });
+};
+
+// @route   GET /api/auth/oidc/config
+// @desc    Get OIDC sign-in availability for the login page
+// @access  Public
+router.get('/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: oidc.isConfigured(),
+      providerName: oidc.getConfig().providerName
+    }
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start OIDC login (redirects to the identity provider)
+// @access  Public
+router.get('/login', loginIpLimiter, async (req, res) => {
+  try {
+    if (!oidc.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const authRequest = oidc.createAuthRequest();
+    const binding = crypto.randomBytes(32).toString('hex');
+
+    await OidcLoginState.create({
+      state: authRequest.state,
+      codeVerifier: authRequest.codeVerifier,
+      nonce: authRequest.nonce,
+      browserBindingHash: hashBinding(binding),
+      redirectTo: sanitizeRedirect(req.query.redirect),
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS)
+    });
+
+    const url = await oidc.getAuthorizationUrl(authRequest);
+
+    res.cookie(BINDING_COOKIE, binding, { ...bindingCookieOptions(req), maxAge: LOGIN_STATE_TTL_MS });
+
+    // SPA clients can ask for the URL instead of following a redirect (with
+    // credentials, so the browser keeps the binding cookie)
+    if (req.query.mode === 'json') {
+      return res.json({
+        success: true,
+        data: { url }
+      });
+    }
+
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the identity provider'
+    });
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    OIDC redirect target: exchanges the code and signs the user in
+// @access  Public
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    // State is single-use
+    const loginState = state ? await OidcLoginState.findOneAndDelete({ state: String(state) }) : null;
+    res.clearCookie(BINDING_COOKIE, bindingCookieOptions(req));
+
+    if (providerError) {
+      return redirectToClient(res, { error: String(providerError) });
+    }
+
+    // The callback must reach the browser that started the login, otherwise
+    // a victim could be signed in to someone else's account
+    if (!code || !loginState || loginState.expiresAt <= new Date() || !matchesBinding(req, loginState)) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    const claims = await oidc.exchangeCode(String(code), loginState);
+
+    let user;
+    try {
+      user = await findOrCreateUser(claims, claims.iss);
+    } catch (linkError) {
+      if (linkError.code) {
+        await LoginAttempt.recordFailure(req, { email: claims.email, reason: 'sso_rejected' });
+        return redirectToClient(res, { error: linkError.code });
+      }
+      throw linkError;
+    }
+
+    if (!user.isActive) {
+      await LoginAttempt.recordFailure(req, { email: user.email, user: user._id, reason: 'inactive' });
+      return redirectToClient(res, { error: 'account_deactivated' });
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.recordFailure(req, { email: user.email, user: user._id, reason: 'locked' });
+      return redirectToClient(res, { error: 'account_locked' });
+    }
+
+    // Accounts with 2FA still need the second step
+    if (user.twoFactorEnabled) {
+      return redirectToClient(res, {
+        challengeToken: generateChallengeToken(user._id),
+        redirect: loginState.redirectTo
+      });
+    }
+
+    // Update last login and clear lockout state
+    user.lastLogin = new Date();
+    user.resetFailedLogins();
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user._id,
+      target: userTarget(user),
+      diff: { method: 'oidc', issuer: claims.iss }
+    });
+
+    redirectToClient(res, {
+      token,
+      refreshToken,
+      redirect: loginState.redirectTo
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'sso_failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const App = require('../models/App');
+const Database = require('../models/Database');
+const { publicAppIpLimiter } = require('../middleware/rateLimits');
+const { getLivePublication } = require('../utils/publishedApp');
+const { findElementInScreens, findElementPath } = require('../utils/elementTree');
+const { buildMongoQuery } = require('../utils/recordQuery');
+const { createEvaluationContext } = require('../utils/calculationEngine');
+const { resolveBranch } = require('../utils/conditionEngine');
+
+const router = express.Router();
+
+// Query string values (other than paging) become passed parameters
+const queryParameters = (query) => {
+  const parameters = {};
+  Object.keys(query).forEach(name => {
+    if (name !== 'page' && name !== 'limit' && typeof query[name] === 'string') {
+      parameters[name] = query[name];
+    }
+  });
+  return parameters;
+};
+
+// Repeating container of the live publication, or null
+const findRepeatingContainer = (content, elementId) => {
+  const found = findElementInScreens(content.screens, elementId);
+  if (!found) return null;
+
+  const { element, screen } = found;
+  const config = element.repeatingConfig;
+  if (element.type !== 'container' || element.contentType !== 'repeating' || !config || !config.tableId) {
+    return null;
+  }
+  return { element, screen };
+};
+
+// Whether the container is rendered for the parameters: it and every
+// element above it must be shown by the branch its conditions resolve to
+// (the same elements the server-side renderer would output)
+const isContainerVisible = async (screen, elementId, state) => {
+  for (const element of findElementPath(screen.elements, elementId)) {
+    if (element.renderType !== 'conditional') continue;
+    const branch = await resolveBranch(element, state);
+    if (!branch.condition) return false;
+  }
+  return true;
+};
+
+// @route   GET /api/apps/:id/published/containers/:elementId/rows
+// @desc    Rows of a repeating container of a published app: the table and
+//          filters stored on the container in the live publication (pagination;
+//          other query values are screen parameters for conditions)
+// @access  Public
+router.get('/:id/published/containers/:elementId/rows', publicAppIpLimiter, [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const app = await App.findOne({ _id: req.params.id, isPublished: true });
+
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    // Only containers of what is live are served, never draft-only ones
+    const content = (await getLivePublication(app)).toObject();
+    const found = findRepeatingContainer(content, req.params.elementId);
+
+    // Containers in hidden or unmatched conditional branches are not served.
+    // Conditions only read databases of the app's own workspace.
+    let visible = false;
+    if (found) {
+      const state = createEvaluationContext({
+        content,
+        context: { parameters: queryParameters(req.query), screenId: found.screen.id },
+        loadDatabase: (databaseId) => Database.findOne({ _id: databaseId, workspace: app.workspace, status: 'active' })
+      });
+      visible = await isContainerVisible(found.screen, req.params.elementId, state);
+    }
+
+    if (!visible) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repeating container not found'
+      });
+    }
+
+    const config = found.element.repeatingConfig;
+
+    // The table must belong to a database of the app's own workspace
+    const database = mongoose.isValidObjectId(config.databaseId)
+      ? await Database.findOne({ _id: config.databaseId, workspace: app.workspace, status: 'active' })
+      : null;
+    const table = database && database.tables.id(config.tableId);
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 20, 10);
+    const filter = buildMongoQuery(config.filters || [], table.columns);
+
+    // Only the table's columns are returned
+    const projection = {};
+    table.columns.forEach(column => {
+      projection[column.name] = 1;
+    });
+
+    const { rows, total } = await database.withUserDb(async (db) => {
+      const collection = db.collection(table.name);
+      const [found, count] = await Promise.all([
+        collection.find(filter, { projection })
+          .sort({ _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        collection.countDocuments(filter)
+      ]);
+      return { rows: found, total: count };
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+    }
+
+    console.error('Fetch published rows error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching rows'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { publicAppIpLimiter } = require('../middleware/rateLimits');
+const { findPublishedApp } = require('../utils/publishedApp');
+const { normalizeScreenUrl } = require('../utils/screenValidator');
+const { createEvaluationContext } = require('../utils/calculationEngine');
+const { escapeHtml, renderScreen, renderDocument } = require('../utils/screenRenderer');
+
+const router = express.Router();
+
+// Client bundle that hydrates server-rendered pages (optional)
+const SSR_CLIENT_SCRIPT = process.env.SSR_CLIENT_SCRIPT || null;
+
+const sendErrorPage = (res, status, message) => {
+  res.status(status).type('html').send([
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head><meta charset="utf-8"><title>' + escapeHtml(message) + '</title></head>',
+    '<body><h1>' + escapeHtml(message) + '</h1></body>',
+    '</html>'
+  ].join('\n'));
+};
+
+// Screen of published content for a url path ('' is the home screen)
+const findScreenByUrl = (content, path) => {
+  const url = normalizeScreenUrl(path);
+  const screens = content.screens || [];
+
+  if (!url) {
+    return screens.find(screen => String(screen.id) === String(content.homeScreenId)) || screens[0] || null;
+  }
+  return screens.find(screen => normalizeScreenUrl(screen.url) === url) || null;
+};
+
+// Query string values become passed parameters of the screen
+const queryParameters = (query) => {
+  const parameters = {};
+  Object.keys(query).forEach(name => {
+    if (typeof query[name] === 'string') parameters[name] = query[name];
+  });
+  return parameters;
+};
+
+// @route   GET /render/:subdomain/*
+// @desc    Render a screen (by its url; none for the home screen) of a
+//          published app to HTML with hydration data for the client
+// @access  Public
+router.get(['/:subdomain', '/:subdomain/*'], publicAppIpLimiter, async (req, res) => {
+  try {
+    const found = await findPublishedApp({ subdomain: String(req.params.subdomain).toLowerCase() });
+
+    if (!found) {
+      return sendErrorPage(res, 404, 'App not found');
+    }
+
+    const { app, publication } = found;
+    const content = publication.toObject();
+    const screen = findScreenByUrl(content, req.params[0] || '');
+
+    if (!screen) {
+      return sendErrorPage(res, 404, 'Page not found');
+    }
+
+    // Calculations only read databases of the app's own workspace
+    const state = createEvaluationContext({
+      content,
+      context: { parameters: queryParameters(req.query), screenId: screen.id },
+      loadDatabase: (databaseId) => Database.findOne({ _id: databaseId, workspace: app.workspace, status: 'active' })
+    });
+
+    const rendered = await renderScreen(screen, state);
+
+    const html = renderDocument({
+      app,
+      publication,
+      rendered,
+      homeScreenId: content.homeScreenId,
+      screens: (content.screens || []).map(item => ({ id: item.id, name: item.name, url: item.url || '' })),
+      scriptUrl: SSR_CLIENT_SCRIPT
+    });
+
+    res.set('Cache-Control', 'public, max-age=0, must-revalidate');
+    res.type('html').send(html);
+
+  } catch (error) {
+    console.error('Render screen error:', error);
+    sendErrorPage(res, 500, 'Something went wrong');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const App = require('../models/App');
+const Workspace = require('../models/Workspace');
+const { auth, requireScope } = require('../middleware/auth');
+const { resolveTargetWorkspace } = require('../utils/workspaceAccess');
+const { findFreeName, createAppCopy } = require('../utils/appCopy');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Fields shown in the catalog (content is only returned for a single template)
+const CATALOG_FIELDS = 'name description appType icon templateCategory templateVisibility templateUses workspace owner updatedAt';
+
+// Fields of a single template (catalog fields plus the content for previews)
+const TEMPLATE_FIELDS = `${CATALOG_FIELDS} screens homeScreenId calculations`;
+
+// Helper to escape user input used in a regex search
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper to load a template the user may see: public ones and those of
+// workspaces the user belongs to. Sends 404 otherwise.
+const findVisibleTemplate = async (req, res) => {
+  let template = null;
+  try {
+    template = await App.findOne({ _id: req.params.id, isTemplate: true });
+  } catch (error) {
+    if (error.name !== 'CastError') throw error;
+  }
+
+  if (template && template.templateVisibility !== 'public') {
+    const role = await Workspace.getUserRole(template.workspace, req.user.id);
+    if (!role) template = null;
+  }
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+  }
+
+  return template;
+};
+
+// @route   GET /api/templates
+// @desc    List templates visible to the user (optional category, search)
+// @access  Private
+router.get('/', [
+  auth,
+  requireScope('apps:read'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, search = '', category } = req.query;
+    const skip = (page - 1) * limit;
+
+    const workspaceIds = await Workspace.getAccessibleIds(req.user.id);
+
+    const query = {
+      isTemplate: true,
+      $or: [
+        { templateVisibility: 'public' },
+        { workspace: { $in: workspaceIds } }
+      ]
+    };
+
+    if (category) {
+      query.templateCategory = String(category);
+    }
+
+    if (search) {
+      query.name = { $regex: escapeRegex(String(search)), $options: 'i' };
+    }
+
+    const templates = await App.find(query)
+      .select(CATALOG_FIELDS)
+      .populate('owner', 'name')
+      .sort({ templateUses: -1, updatedAt: -1 })
+      .limit(limit * 1)
+      .skip(skip);
+
+    const total = await App.countDocuments(query);
+    const categories = await App.distinct('templateCategory', query);
+
+    res.json({
+      success: true,
+      data: templates,
+      categories: categories.filter(Boolean).sort(),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Fetch templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching templates'
+    });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template including its screens (for previews)
+// @access  Private
+router.get('/:id', auth, requireScope('apps:read'), async (req, res) => {
+  try {
+    const found = await findVisibleTemplate(req, res);
+    if (!found) return;
+
+    // Never the whole app: domains, execution settings and publish state stay private
+    const template = await App.findById(found._id)
+      .select(TEMPLATE_FIELDS)
+      .populate('owner', 'name');
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    console.error('Fetch template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching template'
+    });
+  }
+});
+
+// @route   POST /api/templates/:id/instantiate
+// @desc    Create a new app from a template (body: name, workspaceId,
+//          copyDatabases to create empty copies of the linked databases;
+//          always done for templates of another workspace)
+// @access  Private
+router.post('/:id/instantiate', [
+  auth,
+  requireScope('apps:write'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('App name must be between 1 and 100 characters'),
+  body('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID'),
+  body('copyDatabases')
+    .optional()
+    .isBoolean()
+    .withMessage('copyDatabases must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await findVisibleTemplate(req, res);
+    if (!template) return;
+
+    // Defaults to the user's personal workspace
+    const workspace = await resolveTargetWorkspace(req.body.workspaceId, req.user.id);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found or not writable'
+      });
+    }
+
+    // Apps only read databases of their own workspace, so a template from
+    // another workspace is always instantiated with copies of its databases
+    const copyDatabases = req.body.copyDatabases === true || req.body.copyDatabases === 'true'
+      || template.workspace.toString() !== workspace._id.toString();
+    if (copyDatabases && req.apiKey && !req.apiKey.hasScope('databases:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'API key is missing the required scope: databases:write'
+      });
+    }
+
+    let { name } = req.body;
+    if (name) {
+      const existingApp = await App.findOne({ name, workspace: workspace._id });
+      if (existingApp) {
+        return res.status(400).json({
+          success: false,
+          message: 'This workspace already has an app with this name'
+        });
+      }
+    } else {
+      name = await findFreeName(App, workspace._id, template.name);
+    }
+
+    const { app, databases, unresolvedDatabaseIds } = await createAppCopy({
+      source: template,
+      name,
+      workspace,
+      userId: req.user.id,
+      kind: 'template',
+      copyDatabases
+    });
+
+    await App.updateOne({ _id: template._id }, { $inc: { templateUses: 1 } });
+
+    await recordAudit(req, {
+      action: 'app.template.instantiate',
+      target: { type: 'app', id: app._id.toString(), name: app.name },
+      app: app._id,
+      workspace: app.workspace,
+      diff: {
+        template: template._id.toString(),
+        copiedDatabases: databases.map(database => database._id.toString()),
+        unresolvedDatabaseIds
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'App created from template successfully',
+      data: {
+        app,
+        databases,
+        // References to databases that could not be copied; the app still
+        // points at them and needs to be reconnected
+        unresolvedDatabaseIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Instantiate template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating app from template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const SystemSettings = require('../models/SystemSettings');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, adminAuth, denyImpersonation } = require('../middleware/auth');
+const { twoFactorIpLimiter } = require('../middleware/rateLimits');
+const { issueTokens, verifyChallengeToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { recordAudit, userTarget } = require('../utils/audit');
+
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'AppBuilder';
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor status for current user
+// @access  Private
+router.get('/status', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+    const settings = await SystemSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: settings.requireTwoFactor,
+        recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate secret, otpauth URI and QR code
+// @access  Private
+router.post('/setup', auth, denyImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const otpauthUri = totp.buildOtpauthUri(secret, user.email, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    await recordAudit(req, {
+      action: 'auth.2fa.setup_started',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Finish enrollment with a code from the authenticator app
+// @access  Private
+router.post('/confirm', [
+  auth,
+  denyImpersonation,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa.enable',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/recovery-codes', [
+  auth,
+  denyImpersonation,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa.recovery_codes_regenerated',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/disable', [
+  auth,
+  denyImpersonation,
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await SystemSettings.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required by your administrator'
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordMatch = await user.matchPassword(req.body.password);
+    if (!isPasswordMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.2fa.disable',
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/login
+// @desc    Second login step: exchange challenge token + code for tokens
+// @access  Public
+router.post('/login', [
+  twoFactorIpLimiter,
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code or recovery code is required'
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.recordFailure(req, { email: user.email, user: user._id, reason: 'locked' });
+      return res.status(429).json({
+        success: false,
+        message: 'Account temporarily locked due to too many failed login attempts',
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const isValid = code
+      ? user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      await user.registerFailedLogin();
+      await LoginAttempt.recordFailure(req, { email: user.email, user: user._id, reason: 'invalid_2fa_code' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    // Update last login and clear lockout state (also persists the used code step)
+    user.lastLogin = new Date();
+    user.resetFailedLogins();
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: user._id,
+      target: userTarget(user),
+      diff: { method: recoveryCode ? '2fa_recovery_code' : '2fa_code' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Require (or stop requiring) two-factor authentication for all users
+// @access  Private/Admin
+router.put('/policy', [
+  auth,
+  adminAuth,
+  body('requireTwoFactor')
+    .isBoolean()
+    .withMessage('requireTwoFactor must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await SystemSettings.updateSettings({
+      requireTwoFactor: req.body.requireTwoFactor
+    }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'auth.2fa.policy_change',
+      target: { type: 'settings', id: 'global', name: 'Two-factor policy' },
+      diff: { requireTwoFactor: settings.requireTwoFactor }
+    });
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication ${settings.requireTwoFactor ? 'is now required' : 'is no longer required'} for all users`,
+      data: {
+        requireTwoFactor: settings.requireTwoFactor
+      }
+    });
+  } catch (error) {
+    console.error('2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating two-factor policy'
+    });
+  }
+});
+
+module.exports = router;
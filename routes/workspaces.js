@@ -0,0 +1,527 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const App = require('../models/App');
+const Database = require('../models/Database');
+const { auth, requireScope } = require('../middleware/auth');
+const { sendForbidden } = require('../utils/workspaceAccess');
+const { sendWorkspaceInvitationEmail } = require('../utils/emails');
+
+const router = express.Router();
+
+// Helper to load a workspace the user belongs to, with the user's role
+const findMemberWorkspace = async (workspaceId, userId) => {
+  const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': userId })
+    .populate('members.user', 'name email');
+  if (!workspace) return { workspace: null, role: null };
+
+  const member = workspace.members.find(m => m.user._id.toString() === userId.toString());
+  return { workspace, role: member.role };
+};
+
+const sendNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Workspace not found'
+  });
+};
+
+// @route   POST /api/workspaces/invitations/accept
+// @desc    Accept workspace invitation
+// @access  Private
+router.post('/invitations/accept', [
+  auth,
+  requireScope('workspaces:write'),
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = Workspace.hashToken(req.body.token);
+    const workspace = await Workspace.findOne({ 'invitations.tokenHash': tokenHash });
+    const invitation = workspace && workspace.invitations.find(inv => inv.tokenHash === tokenHash);
+
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    // Invitations are bound to the invited email address
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (!workspace.getMemberRole(req.user.id)) {
+      workspace.members.push({ user: req.user.id, role: invitation.role });
+    }
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: {
+        id: workspace._id,
+        name: workspace.name,
+        role: workspace.getMemberRole(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting invitation'
+    });
+  }
+});
+
+// @route   GET /api/workspaces
+// @desc    Get all workspaces of current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    // Make sure the personal workspace exists
+    await Workspace.getPersonalWorkspace(req.user.id);
+
+    const workspaces = await Workspace.find({ 'members.user': req.user.id })
+      .select('name owner isPersonal members createdAt updatedAt')
+      .sort({ isPersonal: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: workspaces.map(ws => ({
+        id: ws._id,
+        name: ws.name,
+        owner: ws.owner,
+        isPersonal: ws.isPersonal,
+        role: ws.getMemberRole(req.user.id),
+        memberCount: ws.members.length,
+        createdAt: ws.createdAt,
+        updatedAt: ws.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Fetch workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching workspaces'
+    });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create new workspace (creator becomes owner)
+// @access  Private
+router.post('/', [
+  auth,
+  requireScope('workspaces:write'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workspace name must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      owner: req.user.id,
+      members: [{ user: req.user.id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating workspace'
+    });
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Get workspace with members (and invitations for admins)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+
+    const data = workspace.toObject();
+    data.role = role;
+
+    // Only admins see pending invitations; never expose token hashes
+    if (Workspace.hasRole(role, 'admin')) {
+      data.invitations = workspace.invitations.map(inv => ({
+        id: inv._id,
+        email: inv.email,
+        role: inv.role,
+        expiresAt: inv.expiresAt,
+        createdAt: inv.createdAt
+      }));
+    } else {
+      delete data.invitations;
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Fetch workspace error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching workspace'
+    });
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename workspace
+// @access  Private (workspace admin)
+router.put('/:id', [
+  auth,
+  requireScope('workspaces:write'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workspace name must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+    if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+
+    workspace.name = req.body.name;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: {
+        id: workspace._id,
+        name: workspace.name
+      }
+    });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating workspace'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete empty workspace
+// @access  Private (workspace owner)
+router.delete('/:id', auth, requireScope('workspaces:write'), async (req, res) => {
+  try {
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+    if (!Workspace.hasRole(role, 'owner')) return sendForbidden(res, 'owner');
+
+    if (workspace.isPersonal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Personal workspaces cannot be deleted'
+      });
+    }
+
+    const [appCount, databaseCount] = await Promise.all([
+      App.countDocuments({ workspace: workspace._id }),
+      Database.countDocuments({ workspace: workspace._id, status: 'active' })
+    ]);
+
+    if (appCount > 0 || databaseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Workspace still contains ${appCount} app(s) and ${databaseCount} database(s). Delete or move them first.`
+      });
+    }
+
+    await Workspace.findByIdAndDelete(workspace._id);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting workspace'
+    });
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change member role
+// @access  Private (workspace admin; only the owner can manage admins)
+router.put('/:id/members/:userId', [
+  auth,
+  requireScope('workspaces:write'),
+  body('role')
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be viewer, editor, or admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+    if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+
+    const member = workspace.members.find(m => m.user._id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner role cannot be changed'
+      });
+    }
+
+    if ((member.role === 'admin' || req.body.role === 'admin') && role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
+
+    member.role = req.body.role;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        user: member.user,
+        role: member.role
+      }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating member'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove member (or leave the workspace when removing yourself)
+// @access  Private (workspace admin, or the member themselves)
+router.delete('/:id/members/:userId', auth, requireScope('workspaces:write'), async (req, res) => {
+  try {
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+
+    const isSelf = req.params.userId === req.user.id.toString();
+    if (!isSelf && !Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+
+    const member = workspace.members.find(m => m.user._id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The workspace owner cannot be removed'
+      });
+    }
+
+    if (!isSelf && member.role === 'admin' && role !== 'owner') {
+      return sendForbidden(res, 'owner');
+    }
+
+    workspace.members = workspace.members.filter(m => m !== member);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing member'
+    });
+  }
+});
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite user by email
+// @access  Private (workspace admin; only the owner can invite admins)
+router.post('/:id/invitations', [
+  auth,
+  requireScope('workspaces:write'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('role')
+    .optional()
+    .isIn(['viewer', 'editor', 'admin'])
+    .withMessage('Role must be viewer, editor, or admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role: inviteRole = 'viewer' } = req.body;
+
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+    if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+    if (inviteRole === 'admin' && role !== 'owner') return sendForbidden(res, 'owner');
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && workspace.getMemberRole(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    const token = workspace.createInvitation(email, inviteRole, req.user.id);
+    await workspace.save();
+
+    try {
+      await sendWorkspaceInvitationEmail(email, workspace, req.user, inviteRole, token);
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+    }
+
+    const invitation = workspace.invitations[workspace.invitations.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invitation'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Cancel pending invitation
+// @access  Private (workspace admin)
+router.delete('/:id/invitations/:invitationId', auth, requireScope('workspaces:write'), async (req, res) => {
+  try {
+    const { workspace, role } = await findMemberWorkspace(req.params.id, req.user.id);
+    if (!workspace) return sendNotFound(res);
+    if (!Workspace.hasRole(role, 'admin')) return sendForbidden(res, 'admin');
+
+    const invitation = workspace.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+
+    if (error.name === 'CastError') return sendNotFound(res);
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling invitation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const App = require('../models/App');
+const Database = require('../models/Database');
+const Workspace = require('../models/Workspace');
+
+// Moves every app and database that has no workspace yet into its owner's
+// personal workspace (created on demand). Safe to run more than once.
+async function migrateWorkspaces() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbuilder');
+    console.log('✅ Connected to MongoDB');
+
+    const missingWorkspace = { $or: [{ workspace: { $exists: false } }, { workspace: null }] };
+
+    const appOwners = await App.distinct('owner', missingWorkspace);
+    const databaseOwners = await Database.distinct('owner', missingWorkspace);
+    const ownerIds = [...new Set([...appOwners, ...databaseOwners].map(id => id.toString()))];
+
+    console.log(`🔍 Found ${ownerIds.length} owner(s) with records to migrate`);
+
+    for (const ownerId of ownerIds) {
+      const workspace = await Workspace.getPersonalWorkspace(ownerId);
+
+      const appResult = await App.updateMany(
+        { owner: ownerId, ...missingWorkspace },
+        { $set: { workspace: workspace._id } }
+      );
+      const databaseResult = await Database.updateMany(
+        { owner: ownerId, ...missingWorkspace },
+        { $set: { workspace: workspace._id } }
+      );
+
+      console.log(`📦 ${ownerId}: ${appResult.modifiedCount} app(s), ${databaseResult.modifiedCount} database(s) -> ${workspace._id}`);
+    }
+
+    // Database names are now unique per workspace instead of per owner
+    try {
+      await Database.collection.dropIndex('owner_1_name_1');
+      console.log('🗑️  Dropped old owner_1_name_1 index');
+    } catch (error) {
+      console.log('ℹ️  Old owner_1_name_1 index not present');
+    }
+    await Database.syncIndexes();
+
+    console.log('✅ Workspace migration complete');
+  } catch (error) {
+    console.error('❌ Workspace migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateWorkspaces();
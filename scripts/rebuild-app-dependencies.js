@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const AppPublication = require('../models/AppPublication');
+const { buildDependencyIndex } = require('../utils/dataReferences');
+
+// Rebuilds the database dependency index (dataDependencies) of every app and
+// app publication. Apps keep it up to date on save and publications get it
+// when published; this covers those written before it existed.
+// Safe to run more than once.
+async function rebuildAppDependencies() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbuilder');
+    console.log('✅ Connected to MongoDB');
+
+    let updated = 0;
+    let total = 0;
+
+    for await (const app of App.find().cursor()) {
+      total++;
+      const dataDependencies = buildDependencyIndex(AppVersion.captureContent(app));
+      if (JSON.stringify(dataDependencies) === JSON.stringify(app.toObject().dataDependencies)) continue;
+
+      await App.updateOne({ _id: app._id }, { dataDependencies }, { timestamps: false });
+      updated++;
+    }
+
+    let updatedPublications = 0;
+    let totalPublications = 0;
+
+    // Publications are immutable documents, so the index is written directly
+    for await (const publication of AppPublication.find().lean().cursor()) {
+      totalPublications++;
+      const dataDependencies = buildDependencyIndex({
+        screens: publication.screens || [],
+        calculations: publication.calculations || {}
+      });
+      if (JSON.stringify(dataDependencies) === JSON.stringify(publication.dataDependencies)) continue;
+
+      await AppPublication.updateOne({ _id: publication._id }, { dataDependencies });
+      updatedPublications++;
+    }
+
+    await App.syncIndexes();
+    await AppPublication.syncIndexes();
+
+    console.log(`✅ Dependency index rebuilt: ${updated} of ${total} app(s) updated`);
+    console.log(`✅ Dependency index rebuilt: ${updatedPublications} of ${totalPublications} publication(s) updated`);
+  } catch (error) {
+    console.error('❌ Dependency index rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+rebuildAppDependencies();
@@ -8,11 +8,21 @@ const { Server } = require('socket.io');
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a usable mail transport (e.g. none set in production)
+require('./utils/mail').assertMailConfig();
+
 const app = express();
 
+// Trust proxy headers (X-Forwarded-For) so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// ETag is read by the builder for optimistic concurrency on app saves
+app.use(cors({ exposedHeaders: ['ETag'] }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/json-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB connection
@@ -24,6 +34,12 @@ mongoose.connect(MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+
+  // Purge accounts whose deletion grace period is over (hourly)
+  const { purgeDueAccounts } = require('./utils/accountDeletion');
+  setInterval(() => {
+    purgeDueAccounts().catch(error => console.error('Account purge error:', error));
+  }, 60 * 60 * 1000).unref();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -32,16 +48,46 @@ mongoose.connect(MONGODB_URI, {
 
 // Import Routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
+const oidcRoutes = require('./routes/oidc');
+const workspaceRoutes = require('./routes/workspaces');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
 const appRoutes = require('./routes/apps');
+const appElementRoutes = require('./routes/appElements');
+const appScreenRoutes = require('./routes/appScreens');
+const appCalculationRoutes = require('./routes/appCalculations');
+const publishedDataRoutes = require('./routes/publishedData');
+const templateRoutes = require('./routes/templates');
+const galleryRoutes = require('./routes/gallery');
+const domainRoutes = require('./routes/domains');
+const renderRoutes = require('./routes/render');
 const databaseRoutes = require('./routes/databases');
 const databaseQueryRoutes = require('./routes/databaseQueries');
 
 // Use Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/apps', appRoutes);
+app.use('/api/apps', appElementRoutes);
+app.use('/api/apps', appScreenRoutes);
+app.use('/api/apps', appCalculationRoutes);
+app.use('/api/apps', publishedDataRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/gallery', galleryRoutes);
+app.use('/api/domains', domainRoutes);
 app.use('/api/databases', databaseRoutes);
 app.use('/api/databases', databaseQueryRoutes);
 
+// Server-rendered published screens (HTML)
+app.use('/render', renderRoutes);
+
 // Health check route
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -61,28 +107,136 @@ app.get('/api', (req, res) => {
       auth: {
         'POST /api/auth/register': 'Register a new user',
         'POST /api/auth/login': 'Login user',
+        'POST /api/auth/verify-email': 'Verify email address',
+        'POST /api/auth/resend-verification': 'Resend email verification link',
+        'POST /api/auth/forgot-password': 'Request password reset email',
+        'POST /api/auth/reset-password': 'Reset password with token',
+        'POST /api/auth/refresh': 'Exchange refresh token for new tokens',
+        'POST /api/auth/logout': 'Logout current session',
+        'POST /api/auth/logout-all': 'Logout from all devices',
         'GET /api/auth/verify': 'Verify JWT token',
-        'GET /api/auth/profile': 'Get user profile'
+        'GET /api/auth/profile': 'Get user profile',
+        'PUT /api/auth/profile': 'Update name/email (new email needs verification)',
+        'PUT /api/auth/password': 'Change password',
+        'DELETE /api/auth/account': 'Schedule account deletion',
+        'POST /api/auth/account/cancel-deletion': 'Cancel scheduled account deletion'
+      },
+      twoFactor: {
+        'GET /api/auth/2fa/status': 'Get two-factor status',
+        'POST /api/auth/2fa/setup': 'Start two-factor enrollment (QR code / otpauth URI)',
+        'POST /api/auth/2fa/confirm': 'Confirm enrollment and get recovery codes',
+        'POST /api/auth/2fa/recovery-codes': 'Regenerate recovery codes',
+        'POST /api/auth/2fa/disable': 'Disable two-factor authentication',
+        'POST /api/auth/2fa/login': 'Complete login with challenge token and code',
+        'PUT /api/auth/2fa/policy': 'Require two-factor for all users (admin)'
+      },
+      oidc: {
+        'GET /api/auth/oidc/config': 'Get single sign-on availability',
+        'GET /api/auth/oidc/login': 'Start single sign-on (redirects to identity provider)',
+        'GET /api/auth/oidc/callback': 'Identity provider redirect target'
+      },
+      apiKeys: {
+        'GET /api/auth/api-keys': 'Get all API keys (send keys as X-API-Key header)',
+        'POST /api/auth/api-keys': 'Create API key with scopes and optional expiry',
+        'DELETE /api/auth/api-keys/:id': 'Revoke API key'
+      },
+      workspaces: {
+        'GET /api/workspaces': 'Get all user workspaces',
+        'POST /api/workspaces': 'Create workspace',
+        'GET /api/workspaces/:id': 'Get workspace with members',
+        'PUT /api/workspaces/:id': 'Rename workspace',
+        'DELETE /api/workspaces/:id': 'Delete empty workspace',
+        'PUT /api/workspaces/:id/members/:userId': 'Change member role',
+        'DELETE /api/workspaces/:id/members/:userId': 'Remove member or leave workspace',
+        'POST /api/workspaces/:id/invitations': 'Invite user by email',
+        'DELETE /api/workspaces/:id/invitations/:invitationId': 'Cancel invitation',
+        'POST /api/workspaces/invitations/accept': 'Accept invitation'
+      },
+      admin: {
+        'GET /api/admin/users': 'List and search users',
+        'GET /api/admin/users/:id': 'Get user details',
+        'PUT /api/admin/users/:id/status': 'Activate/deactivate user',
+        'PUT /api/admin/users/:id/role': 'Change user role',
+        'POST /api/admin/users/:id/unlock': 'Clear login lockout',
+        'GET /api/admin/users/:id/apps': 'List user apps',
+        'GET /api/admin/users/:id/databases': 'List user databases',
+        'GET /api/admin/users/:id/storage': 'Get user storage usage',
+        'POST /api/admin/users/:id/impersonate': 'Start time-limited impersonation',
+        'DELETE /api/admin/impersonations/:sessionId': 'End impersonation',
+        'GET /api/admin/actions': 'List recorded admin actions'
+      },
+      audit: {
+        'GET /api/audit': 'Query audit events (filter by appId, databaseId, workspaceId, actor, action, targetType, from, to)'
       },
       apps: {
-        'GET /api/apps': 'Get all user apps',
+        'GET /api/apps': 'Get all apps in user workspaces (?subdomain= or ?slug= serves the published snapshot)',
         'GET /api/apps/:id': 'Get specific app',
         'POST /api/apps': 'Create new app',
-        'PUT /api/apps/:id': 'Update app',
+        'PUT /api/apps/:id': 'Update app (send version or If-Match; 409 on stale writes)',
         'DELETE /api/apps/:id': 'Delete app',
-        'POST /api/apps/:id/publish': 'Publish/unpublish app'
+        'POST /api/apps/:id/publish': 'Publish/unpublish app',
+        'POST /api/apps/:id/duplicate': 'Duplicate app with fresh element ids',
+        'PUT /api/apps/:id/template': 'Mark/unmark app as template',
+        'GET /api/apps/:id/export': 'Export app bundle (?includeData=true for records)',
+        'POST /api/apps/import': 'Import app bundle and recreate its databases',
+        'GET /api/apps/:id/validate': 'Validate the stored screen tree',
+        'GET /api/apps/:id/references': 'List broken references to databases, tables and columns',
+        'POST /api/apps/:id/views': 'Record a screen view of a published app (public)',
+        'GET /api/apps/:id/publications': 'List published snapshots',
+        'POST /api/apps/:id/publications/:number/rollback': 'Serve a previous published snapshot again',
+        'GET /api/apps/:id/domains': 'List custom domains with DNS verification records',
+        'POST /api/apps/:id/domains': 'Add custom domain',
+        'POST /api/apps/:id/domains/:domain/verify': 'Verify custom domain TXT record',
+        'DELETE /api/apps/:id/domains/:domain': 'Remove custom domain',
+        'GET /api/apps/:id/analytics': 'Daily views and unique visitors per app and screen',
+        'GET /api/apps/:id/versions': 'List app versions',
+        'GET /api/apps/:id/versions/:version': 'Get app version snapshot',
+        'POST /api/apps/:id/versions/:version/restore': 'Restore app version as a new version',
+        'POST /api/apps/:id/calculations/:calculationId/evaluate': 'Evaluate a calculation for a context (values, rows, parameters, now)',
+        'POST /api/apps/:id/calculations/render': 'Replace {{CALC:id}} tokens in a text',
+        'POST /api/apps/:id/published/calculations/:calculationId/evaluate': 'Evaluate a calculation of a published app (public, result only)',
+        'POST /api/apps/:id/screens/:screenId/resolve': 'Resolve conditional elements of a screen for a context',
+        'POST /api/apps/:id/published/screens/:screenId/resolve': 'Resolve a published screen for a context (public)',
+        'GET /api/apps/:id/published/containers/:elementId/rows': 'Rows of a published repeating container (public, page/limit)',
+        'PATCH /api/apps/:id': 'Apply a JSON Patch (RFC 6902) to screens, settings and calculations',
+        'GET /api/apps/:id/screens': 'List screens',
+        'POST /api/apps/:id/screens': 'Create screen (id allocated by the server)',
+        'PUT /api/apps/:id/screens': 'Reorder screens and/or change the home screen',
+        'PUT /api/apps/:id/screens/:screenId': 'Rename screen or change its url',
+        'POST /api/apps/:id/screens/:screenId/duplicate': 'Duplicate screen',
+        'DELETE /api/apps/:id/screens/:screenId': 'Delete screen (?force=true resets page containers embedding it)',
+        'POST /api/apps/:id/screens/:screenId/elements': 'Add element',
+        'PUT /api/apps/:id/screens/:screenId/elements/:elementId': 'Update element',
+        'POST /api/apps/:id/screens/:screenId/elements/:elementId/move': 'Move element',
+        'DELETE /api/apps/:id/screens/:screenId/elements/:elementId': 'Delete element'
+      },
+      gallery: {
+        'GET /api/gallery': 'List public apps (search, sort=recent|popular)',
+        'GET /api/gallery/:slug': 'Get public app by slug'
+      },
+      domains: {
+        'GET /api/domains/resolve': 'Resolve a verified custom domain (Host header or ?host=) to its published app'
+      },
+      render: {
+        'GET /render/:subdomain/*': 'Render a published screen (by url; query string as parameters) to HTML'
+      },
+      templates: {
+        'GET /api/templates': 'List templates (filter by category, search)',
+        'GET /api/templates/:id': 'Get template with screens',
+        'POST /api/templates/:id/instantiate': 'Create app from template (optionally copying databases)'
       },
       databases: {
-        'GET /api/databases': 'Get all user databases',
+        'GET /api/databases': 'Get all databases in user workspaces',
         'GET /api/databases/:id': 'Get specific database',
         'POST /api/databases': 'Create new database',
-        'DELETE /api/databases/:id': 'Delete database',
+        'DELETE /api/databases/:id': 'Delete database (409 while used by apps unless ?force=true)',
         'GET /api/databases/:id/tables': 'Get database tables',
         'POST /api/databases/:id/tables': 'Create new table',
-        'DELETE /api/databases/:id/tables/:tableId': 'Delete table',
+        'GET /api/databases/:id/dependents': 'List apps using the database',
+        'DELETE /api/databases/:id/tables/:tableId': 'Delete table (409 while used by apps unless ?force=true)',
         'GET /api/databases/:id/tables/:tableId/columns': 'Get table columns',
         'POST /api/databases/:id/tables/:tableId/columns': 'Create new column',
-        'DELETE /api/databases/:id/tables/:tableId/columns/:columnId': 'Delete column',
+        'DELETE /api/databases/:id/tables/:tableId/columns/:columnId': 'Delete column (409 while used by apps unless ?force=true)',
         'GET /api/databases/:id/tables/:tableId/records': 'Get table records',
         'POST /api/databases/:id/tables/:tableId/records': 'Create new record',
         'PUT /api/databases/:id/tables/:tableId/records/:recordId': 'Update record',
@@ -113,10 +267,12 @@ app.use('*', (req, res) => {
 });
 
 // Create HTTP server and Socket.IO instance
+const { corsOrigin } = require('./utils/customDomains');
 const server = http.createServer(app);
+// Allowed origins: CLIENT_ORIGINS, their subdomains and verified custom domains
 const io = new Server(server, {
   cors: {
-    origin: ["http://localhost:3000", /^http:\/\/.*\.localhost:3000$/],
+    origin: corsOrigin,
     methods: ["GET", "POST"]
   }
 });
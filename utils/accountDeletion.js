@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const AppViewStat = require('../models/AppViewStat');
+const AppPublication = require('../models/AppPublication');
+const Database = require('../models/Database');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+
+// 0 deletes accounts right away; unset or invalid values use 14 days
+const configuredGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+const GRACE_PERIOD_DAYS = Number.isNaN(configuredGraceDays) ? 14 : configuredGraceDays;
+
+// Pick who takes over a shared workspace: admins first, then editors, then viewers
+const pickNewOwner = (workspace, userId) => {
+  const others = workspace.members.filter(m => m.user.toString() !== userId.toString());
+  for (const role of ['admin', 'editor', 'viewer']) {
+    const member = others.find(m => m.role === role);
+    if (member) return member;
+  }
+  return null;
+};
+
+// Delete a workspace together with its apps and databases (drops every
+// per-user MongoDB database through Database.deleteUserDatabase)
+const deleteWorkspaceContents = async (workspace) => {
+  const databases = await Database.find({ workspace: workspace._id });
+  for (const database of databases) {
+    try {
+      await Database.deleteUserDatabase(database._id, database.owner);
+    } catch (error) {
+      console.error(`Error deleting database ${database._id}:`, error.message);
+    }
+  }
+
+  const appIds = await App.find({ workspace: workspace._id }).distinct('_id');
+  await AppViewStat.deleteMany({ app: { $in: appIds } });
+  await App.deleteMany({ workspace: workspace._id });
+  await AppVersion.deleteMany({ workspace: workspace._id });
+  await AppPublication.deleteMany({ workspace: workspace._id });
+  await Workspace.findByIdAndDelete(workspace._id);
+
+  return databases.length;
+};
+
+// Permanently delete a user and everything they own.
+// Workspaces only the user belongs to are deleted with their apps and
+// databases; shared workspaces they own are handed to another member.
+const purgeUser = async (userId) => {
+  const workspaces = await Workspace.find({ 'members.user': userId });
+  const summary = { deletedWorkspaces: 0, transferredWorkspaces: 0, deletedDatabases: 0 };
+
+  for (const workspace of workspaces) {
+    const newOwner = workspace.isPersonal ? null : pickNewOwner(workspace, userId);
+
+    if (workspace.owner.toString() === userId.toString() && !newOwner) {
+      summary.deletedDatabases += await deleteWorkspaceContents(workspace);
+      summary.deletedWorkspaces += 1;
+      continue;
+    }
+
+    if (workspace.owner.toString() === userId.toString()) {
+      newOwner.role = 'owner';
+      workspace.owner = newOwner.user;
+      summary.transferredWorkspaces += 1;
+    }
+
+    workspace.members = workspace.members.filter(m => m.user.toString() !== userId.toString());
+    await workspace.save();
+  }
+
+  // Apps/databases created by the user outside workspaces (not yet migrated)
+  const orphanDatabases = await Database.find({ owner: userId, workspace: null });
+  for (const database of orphanDatabases) {
+    await Database.deleteUserDatabase(database._id, userId);
+    summary.deletedDatabases += 1;
+  }
+  await App.deleteMany({ owner: userId, workspace: null });
+
+  await Session.deleteMany({ user: userId });
+  await ApiKey.deleteMany({ user: userId });
+  await User.findByIdAndDelete(userId);
+
+  return summary;
+};
+
+// Schedule deletion after the grace period (or purge right away without one)
+const scheduleAccountDeletion = async (user) => {
+  if (GRACE_PERIOD_DAYS <= 0) {
+    await purgeUser(user._id);
+    return null;
+  }
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  // Sign out everywhere; logging in again is still possible to cancel
+  await Session.revokeAllForUser(user._id, 'account_deletion');
+  await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  return user.deletionScheduledFor;
+};
+
+// Purge every account whose grace period is over
+const purgeDueAccounts = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id email');
+
+  for (const user of dueUsers) {
+    try {
+      const summary = await purgeUser(user._id);
+      console.log(`🗑️  Purged account ${user.email}:`, summary);
+    } catch (error) {
+      console.error(`Error purging account ${user.email}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+module.exports = { purgeUser, scheduleAccountDeletion, purgeDueAccounts, GRACE_PERIOD_DAYS };
@@ -0,0 +1,290 @@
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const Database = require('../models/Database');
+const { remapReferences, collectDatabaseIds, findFreeName } = require('./appCopy');
+const { validateFieldValue } = require('./fieldValues');
+const { validateScreens } = require('./screenValidator');
+
+// Portable app bundles for moving apps between environments. A bundle holds
+// the app content plus the schemas (and optionally records) of every
+// database the app reads from; imports recreate the databases and point
+// databaseId/tableId references at the new ids.
+
+const BUNDLE_FORMAT = 'appbuilder-app-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+// Records exported per table at most (the import is limited by the JSON body size)
+const MAX_EXPORT_RECORDS = parseInt(process.env.APP_BUNDLE_MAX_RECORDS || '5000', 10);
+
+const COLUMN_TYPES = Database.schema.path('tables').schema.path('columns').schema.path('type').enumValues;
+
+// Error for a bundle that cannot be imported
+const bundleError = (message, errors) => Object.assign(new Error(message), { code: 'invalid_bundle', errors });
+
+// Export the schema (and with includeData the records) of a database
+const exportDatabase = async (database, includeData) => {
+  const tables = database.tables.map(table => ({
+    id: table._id.toString(),
+    name: table.name,
+    columns: table.columns.map(column => ({
+      name: column.name,
+      type: column.type,
+      order: column.order
+    }))
+  }));
+
+  if (includeData) {
+    await database.withUserDb(async (db) => {
+      for (const table of tables) {
+        const records = await db.collection(table.name)
+          .find({}, { projection: { _id: 0 } })
+          .limit(MAX_EXPORT_RECORDS + 1)
+          .toArray();
+        table.truncated = records.length > MAX_EXPORT_RECORDS;
+        table.records = records.slice(0, MAX_EXPORT_RECORDS);
+      }
+    });
+  }
+
+  return {
+    id: database._id.toString(),
+    name: database.name,
+    tables
+  };
+};
+
+// Build the bundle for an app. Only databases of the app's own workspace are
+// included; other references are listed as unresolved.
+const buildBundle = async (app, { includeData = false } = {}) => {
+  const content = JSON.parse(JSON.stringify(AppVersion.captureContent(app)));
+
+  const databases = [];
+  const unresolvedDatabaseIds = [];
+  for (const databaseId of collectDatabaseIds(content)) {
+    let database = null;
+    try {
+      database = await Database.findOne({ _id: databaseId, workspace: app.workspace, status: 'active' });
+    } catch (error) {
+      if (error.name !== 'CastError') throw error;
+    }
+
+    if (database) {
+      databases.push(await exportDatabase(database, includeData));
+    } else {
+      unresolvedDatabaseIds.push(databaseId);
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesData: Boolean(includeData),
+    app: {
+      name: app.name,
+      description: app.description,
+      appType: app.appType,
+      icon: app.icon,
+      version: app.version,
+      ...content,
+      executionSettings: app.executionSettings
+    },
+    databases,
+    unresolvedDatabaseIds
+  };
+};
+
+// Whether a database, table or column name has 1 to `max` characters
+const isValidName = (name, max) => typeof name === 'string' && name.trim().length >= 1 && name.trim().length <= max;
+
+// Structural checks of a bundle before anything is created.
+// Returns a list of { path, msg }.
+const validateBundle = (bundle) => {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return [{ path: '/format', msg: `Not an app bundle (format must be "${BUNDLE_FORMAT}")` }];
+  }
+  if (!Number.isInteger(bundle.formatVersion) || bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+    return [{ path: '/formatVersion', msg: `Unsupported bundle version ${bundle.formatVersion}` }];
+  }
+  if (!bundle.app || typeof bundle.app !== 'object') {
+    return [{ path: '/app', msg: 'Bundle has no app' }];
+  }
+
+  const errors = [];
+  if (typeof bundle.app.name !== 'string' || !bundle.app.name.trim()) {
+    errors.push({ path: '/app/name', msg: 'App name is required' });
+  }
+
+  validateScreens(bundle.app.screens, bundle.app.homeScreenId).forEach(error => {
+    errors.push({ path: `/app${error.path}`, msg: error.msg });
+  });
+
+  if (!Array.isArray(bundle.databases)) {
+    errors.push({ path: '/databases', msg: 'databases must be an array' });
+    return errors;
+  }
+
+  bundle.databases.forEach((database, index) => {
+    const path = `/databases/${index}`;
+    if (!database || !isValidName(database.name, 100)) {
+      errors.push({ path: `${path}/name`, msg: 'Database name must be between 1 and 100 characters' });
+      return;
+    }
+    if (!Array.isArray(database.tables)) {
+      errors.push({ path: `${path}/tables`, msg: 'tables must be an array' });
+      return;
+    }
+
+    // Same rules as creating tables and columns through the API
+    const tableNames = new Set();
+    database.tables.forEach((table, tableIndex) => {
+      const tablePath = `${path}/tables/${tableIndex}`;
+      if (!table || !isValidName(table.name, 100)) {
+        errors.push({ path: `${tablePath}/name`, msg: 'Table name must be between 1 and 100 characters' });
+        return;
+      }
+      if (tableNames.has(table.name)) {
+        errors.push({ path: `${tablePath}/name`, msg: 'Table with this name already exists' });
+      }
+      tableNames.add(table.name);
+
+      if (table.columns !== undefined && !Array.isArray(table.columns)) {
+        errors.push({ path: `${tablePath}/columns`, msg: 'columns must be an array' });
+      } else {
+        const columnNames = new Set();
+        (table.columns || []).forEach((column, columnIndex) => {
+          const columnPath = `${tablePath}/columns/${columnIndex}`;
+          if (!column || !isValidName(column.name, 50) || !COLUMN_TYPES.includes(column.type)) {
+            errors.push({
+              path: columnPath,
+              msg: `Columns need a name of 1 to 50 characters and a type of ${COLUMN_TYPES.join(', ')}`
+            });
+            return;
+          }
+          if (columnNames.has(column.name)) {
+            errors.push({ path: `${columnPath}/name`, msg: 'Column with this name already exists' });
+          }
+          columnNames.add(column.name);
+        });
+      }
+
+      if (table.records !== undefined && !Array.isArray(table.records)) {
+        errors.push({ path: `${tablePath}/records`, msg: 'records must be an array' });
+      } else {
+        (table.records || []).forEach((record, recordIndex) => {
+          if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push({ path: `${tablePath}/records/${recordIndex}`, msg: 'Records must be objects' });
+          }
+        });
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Recreate one bundled database in the workspace, including its records.
+// The created database is added to `created` right away for cleanup.
+const importDatabase = async (bundled, workspace, userId, tableMap, created) => {
+  const name = await findFreeName(Database, workspace._id, bundled.name, { status: 'active' });
+  const database = await Database.createUserDatabase(userId, name, workspace._id);
+  created.push(database);
+
+  for (const bundledTable of bundled.tables) {
+    const table = await database.addTable(bundledTable.name);
+    (bundledTable.columns || []).forEach((column, index) => {
+      table.columns.push({
+        name: column.name,
+        type: column.type,
+        order: column.order !== undefined ? column.order : index
+      });
+    });
+    if (bundledTable.id) {
+      tableMap.set(String(bundledTable.id), table._id.toString());
+    }
+  }
+  await database.save();
+
+  const tablesWithRecords = bundled.tables.filter(table => Array.isArray(table.records) && table.records.length > 0);
+  let importedRecords = 0;
+
+  if (tablesWithRecords.length > 0) {
+    await database.withUserDb(async (db) => {
+      for (const bundledTable of tablesWithRecords) {
+        const columns = bundledTable.columns || [];
+        const records = bundledTable.records.map(record => {
+          const recordData = {};
+          columns.forEach(column => {
+            if (record[column.name] !== undefined) {
+              recordData[column.name] = validateFieldValue(record[column.name], column.type);
+            }
+          });
+          return recordData;
+        });
+        await db.collection(bundledTable.name).insertMany(records);
+        importedRecords += records.length;
+      }
+    });
+  }
+
+  return { database, importedRecords };
+};
+
+// Import a bundle as a new app in the workspace. Throws an error with code
+// 'invalid_bundle' (and `errors`) for bundles that fail validation. Returns
+// { app, databases, importedRecords, unresolvedDatabaseIds }, the latter
+// being referenced databases that were not in the bundle (their references
+// are kept as they were and need to be pointed at a database by the user).
+const importBundle = async (bundle, { workspace, userId, name }) => {
+  const errors = validateBundle(bundle);
+  if (errors.length > 0) {
+    throw bundleError('Invalid app bundle', errors);
+  }
+
+  const databaseMap = new Map();
+  const tableMap = new Map();
+  const databases = [];
+  let importedRecords = 0;
+
+  try {
+    for (const bundled of bundle.databases) {
+      const imported = await importDatabase(bundled, workspace, userId, tableMap, databases);
+      if (bundled.id) {
+        databaseMap.set(String(bundled.id), imported.database._id.toString());
+      }
+      importedRecords += imported.importedRecords;
+    }
+
+    const { screens, homeScreenId, settings, calculations } = JSON.parse(JSON.stringify(bundle.app));
+    const content = { screens, homeScreenId, settings, calculations };
+    remapReferences(content, ['databaseId'], databaseMap);
+    remapReferences(content, ['tableId'], tableMap);
+
+    const importedIds = new Set(databases.map(database => database._id.toString()));
+    const unresolvedDatabaseIds = [...collectDatabaseIds(content)].filter(id => !importedIds.has(id));
+
+    const appName = name || await findFreeName(App, workspace._id, bundle.app.name.trim());
+
+    const app = await App.create({
+      name: appName,
+      description: bundle.app.description || '',
+      appType: bundle.app.appType || 'web',
+      icon: bundle.app.icon || null,
+      owner: userId,
+      workspace: workspace._id,
+      ...content,
+      ...(bundle.app.executionSettings && { executionSettings: bundle.app.executionSettings })
+    });
+    await AppVersion.snapshot(app, userId, { source: 'create' });
+
+    return { app, databases, importedRecords, unresolvedDatabaseIds };
+  } catch (error) {
+    // Do not leave half-imported databases behind
+    for (const database of databases) {
+      await Database.deleteUserDatabase(database._id, database.owner).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+module.exports = { buildBundle, validateBundle, importBundle, BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION };
@@ -0,0 +1,76 @@
+// Optimistic concurrency for app writes. Clients send the app version their
+// edits are based on, either as `version` in the body or as an If-Match
+// header holding the ETag from a previous response (W/"<version>-<updatedAt>").
+// Only the version part is compared; the timestamp keeps GET caching correct
+// for changes that do not bump the version (e.g. renames).
+
+// ETag for the app's current state
+const versionEtag = (app) => `W/"${app.version}-${app.updatedAt ? app.updatedAt.getTime() : 0}"`;
+
+// Set the ETag header for the app's current version
+const setVersionEtag = (res, app) => {
+  res.set('ETag', versionEtag(app));
+};
+
+// Base version of the request: undefined when none was sent, NaN when the
+// value cannot be parsed. If-Match: * means "any version".
+const getBaseVersion = (req) => {
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    const version = Number(req.body.version);
+    return Number.isInteger(version) && version > 0 ? version : NaN;
+  }
+
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) return undefined;
+
+  const etag = ifMatch.split(',')[0].trim();
+  if (etag === '*') return undefined;
+
+  const match = /^(?:W\/)?"(\d+)(?:-\d+)?"$/.exec(etag);
+  return match ? parseInt(match[1], 10) : NaN;
+};
+
+// Save the app only if its stored version is still `expectedVersion`.
+// Returns false when someone else saved in the meantime.
+const saveIfUnchanged = async (app, expectedVersion) => {
+  app.$where = { version: expectedVersion };
+  try {
+    await app.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') return false;
+    throw error;
+  }
+};
+
+// Send 400 for an unparseable base version
+const sendInvalidBaseVersion = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'version must be a positive integer and If-Match must be an ETag from this API'
+  });
+};
+
+// Send 409 with the current server state so the client can merge
+const sendVersionConflict = (res, app, baseVersion) => {
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      message: 'App not found'
+    });
+  }
+
+  setVersionEtag(res, app);
+  return res.status(409).json({
+    success: false,
+    code: 'VERSION_CONFLICT',
+    message: `App was changed by someone else: your edits are based on version ${baseVersion}, the current version is ${app.version}. Merge with the current state and retry.`,
+    data: {
+      baseVersion,
+      currentVersion: app.version,
+      app
+    }
+  });
+};
+
+module.exports = { setVersionEtag, getBaseVersion, saveIfUnchanged, sendInvalidBaseVersion, sendVersionConflict };
@@ -0,0 +1,161 @@
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const Database = require('../models/Database');
+const { walkElements, generateElementId } = require('./elementTree');
+
+// Keys whose string values point at an element of the same app
+// (calculation and condition step configs)
+const ELEMENT_REFERENCE_KEYS = ['elementId', 'repeatingContainerId'];
+
+// Replace reference values under the given keys anywhere in a plain value
+const remapReferences = (value, keys, idMap) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => remapReferences(item, keys, idMap));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      if (keys.includes(key) && typeof value[key] === 'string' && idMap.has(value[key])) {
+        value[key] = idMap.get(value[key]);
+      } else {
+        remapReferences(value[key], keys, idMap);
+      }
+    });
+  }
+};
+
+// Give every element in the (plain) screens a fresh id not in `usedIds`,
+// recording old -> new ids in `idMap`
+const regenerateElementIds = (screens, usedIds, idMap) => {
+  screens.forEach(screen => {
+    walkElements(screen.elements, element => {
+      const newId = generateElementId(element.type, usedIds);
+      usedIds.add(newId);
+      idMap.set(element.id, newId);
+      element.id = newId;
+    });
+  });
+};
+
+// Plain copy of an app's content with fresh element ids; references between
+// elements are pointed at the new ids
+const copyAppContent = (app) => {
+  const content = JSON.parse(JSON.stringify(AppVersion.captureContent(app)));
+  const idMap = new Map();
+
+  regenerateElementIds(content.screens, new Set(), idMap);
+  remapReferences(content, ELEMENT_REFERENCE_KEYS, idMap);
+
+  return { content, idMap };
+};
+
+// Plain copy of one screen with element ids that are not in `usedIds`.
+// References within the screen point at the copies; references to elements
+// of other screens are kept.
+const copyScreen = (screen, usedIds) => {
+  const copy = JSON.parse(JSON.stringify(screen));
+  const idMap = new Map();
+
+  regenerateElementIds([copy], new Set(usedIds), idMap);
+  remapReferences(copy.elements, ELEMENT_REFERENCE_KEYS, idMap);
+
+  return copy;
+};
+
+// Ids of the databases an app's content reads from
+const collectDatabaseIds = (value, ids = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectDatabaseIds(item, ids));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      if (key === 'databaseId' && typeof value[key] === 'string' && value[key]) {
+        ids.add(value[key]);
+      } else {
+        collectDatabaseIds(value[key], ids);
+      }
+    });
+  }
+  return ids;
+};
+
+// First free name in the workspace: "Name", "Name (2)", "Name (3)", ...
+const findFreeName = async (Model, workspaceId, baseName, extraQuery = {}) => {
+  const base = baseName.slice(0, 90);
+  for (let n = 1; ; n++) {
+    const name = n === 1 ? base : `${base} (${n})`;
+    const existing = await Model.findOne({ name, workspace: workspaceId, ...extraQuery });
+    if (!existing) return name;
+  }
+};
+
+// Create empty copies (tables and columns, no records) in `workspace` of the
+// given databases. Only databases of the source app's own workspace are
+// copied. Returns the created databases and old -> new id maps.
+const copyDatabaseStructures = async (databaseIds, sourceWorkspaceId, workspace, userId) => {
+  const databaseMap = new Map();
+  const tableMap = new Map();
+  const databases = [];
+
+  for (const databaseId of databaseIds) {
+    let source;
+    try {
+      source = await Database.findOne({ _id: databaseId, workspace: sourceWorkspaceId, status: 'active' });
+    } catch (error) {
+      if (error.name !== 'CastError') throw error;
+    }
+    if (!source) continue;
+
+    const name = await findFreeName(Database, workspace._id, source.name, { status: 'active' });
+    const copy = await Database.createUserDatabase(userId, name, workspace._id);
+
+    for (const table of source.tables) {
+      const newTable = await copy.addTable(table.name);
+      table.columns.forEach(column => {
+        newTable.columns.push({ name: column.name, type: column.type, order: column.order });
+      });
+      tableMap.set(table._id.toString(), newTable._id.toString());
+    }
+    await copy.save();
+
+    databaseMap.set(source._id.toString(), copy._id.toString());
+    databases.push(copy);
+  }
+
+  return { databases, databaseMap, tableMap };
+};
+
+// Create a new app named `name` from `source` in `workspace`. With
+// copyDatabases the databases the app reads from are copied too and
+// references point at the copies; otherwise the new app keeps using the
+// original databases. Returns { app, databases, unresolvedDatabaseIds }, the
+// latter being referenced databases that could not be copied (not in the
+// source's workspace or deleted).
+const createAppCopy = async ({ source, name, workspace, userId, kind, copyDatabases = false }) => {
+  const { content } = copyAppContent(source);
+
+  let databases = [];
+  let unresolvedDatabaseIds = [];
+  if (copyDatabases) {
+    const databaseIds = collectDatabaseIds(content);
+    const copied = await copyDatabaseStructures(databaseIds, source.workspace, workspace, userId);
+    remapReferences(content, ['databaseId'], copied.databaseMap);
+    remapReferences(content, ['tableId'], copied.tableMap);
+    databases = copied.databases;
+    unresolvedDatabaseIds = [...databaseIds].filter(id => !copied.databaseMap.has(id));
+  }
+
+  const app = await App.create({
+    name,
+    description: source.description,
+    appType: source.appType,
+    icon: source.icon,
+    owner: userId,
+    workspace: workspace._id,
+    ...content,
+    executionSettings: source.executionSettings,
+    createdFrom: { app: source._id, kind }
+  });
+  await AppVersion.snapshot(app, userId, { source: 'create' });
+
+  return { app, databases, unresolvedDatabaseIds };
+};
+
+module.exports = { copyAppContent, copyScreen, remapReferences, collectDatabaseIds, findFreeName, createAppCopy };
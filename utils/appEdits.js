@@ -0,0 +1,131 @@
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const Workspace = require('../models/Workspace');
+const { findWithWorkspaceRole, sendForbidden } = require('./workspaceAccess');
+const { getBaseVersion, saveIfUnchanged, sendInvalidBaseVersion, sendVersionConflict } = require('./appConcurrency');
+const { validateScreens } = require('./screenValidator');
+
+// Shared by the routes that edit parts of an app's content (elements,
+// screens, JSON Patch) instead of resending the whole app
+
+// Saves retried when another edit lands between load and save
+// (only when the client did not pin a base version)
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Top-level content fields edits (including JSON Patches) may touch
+const PATCHABLE_FIELDS = ['screens', 'homeScreenId', 'settings', 'calculations'];
+
+// Error for an edit that cannot be applied; sent with its status
+const editError = (status, message) => Object.assign(new Error(message), { status });
+
+// Find a screen by its numeric id in plain content
+const getScreen = (content, screenId) => {
+  const screen = content.screens.find(s => String(s.id) === String(screenId));
+  if (!screen) throw editError(404, 'Screen not found');
+  screen.elements = screen.elements || [];
+  return screen;
+};
+
+// Load the app, apply `change(content, app)` to a plain copy of its content
+// and save it as a new version. Writes are all-or-nothing: the save only succeeds if nobody
+// else saved since the app was loaded. Sends the error response itself and
+// returns null when the change was not applied.
+const applyAppChange = async (req, res, change) => {
+  const baseVersion = getBaseVersion(req);
+  if (Number.isNaN(baseVersion)) {
+    sendInvalidBaseVersion(res);
+    return null;
+  }
+
+  for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+    const { doc: app, role } = await findWithWorkspaceRole(App, { _id: req.params.id }, req.user.id);
+
+    if (!app) {
+      res.status(404).json({
+        success: false,
+        message: 'App not found'
+      });
+      return null;
+    }
+
+    if (!Workspace.hasRole(role, 'editor')) {
+      sendForbidden(res, 'editor');
+      return null;
+    }
+
+    if (baseVersion !== undefined && baseVersion !== app.version) {
+      sendVersionConflict(res, app, baseVersion);
+      return null;
+    }
+
+    const content = JSON.parse(JSON.stringify(AppVersion.captureContent(app)));
+    const beforeScreens = JSON.parse(JSON.stringify(content.screens));
+    const result = change(content, app);
+
+    const treeErrors = validateScreens(content.screens, content.homeScreenId);
+    if (treeErrors.length > 0) {
+      throw Object.assign(editError(400, 'Invalid screen tree'), { errors: treeErrors });
+    }
+
+    await AppVersion.ensureSnapshot(app, req.user.id);
+
+    const previousVersion = app.version;
+    PATCHABLE_FIELDS.forEach(field => {
+      if (content[field] !== undefined) app[field] = content[field];
+    });
+    app.version += 1;
+
+    if (await saveIfUnchanged(app, previousVersion)) {
+      await AppVersion.snapshot(app, req.user.id);
+      return { app, result, previousVersion, beforeScreens };
+    }
+
+    // Someone else saved first: a pinned base version is now stale,
+    // otherwise reload and apply the change again
+    if (baseVersion !== undefined) break;
+  }
+
+  const current = await App.findById(req.params.id);
+  sendVersionConflict(res, current, baseVersion !== undefined ? baseVersion : current && current.version);
+  return null;
+};
+
+// Shared error handling of the edit routes
+const handleEditError = (res, error, label, serverMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: 'App not found'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(e => ({ path: e.path, msg: e.message }))
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: serverMessage
+  });
+};
+
+module.exports = {
+  PATCHABLE_FIELDS,
+  editError,
+  getScreen,
+  applyAppChange,
+  handleEditError
+};
@@ -0,0 +1,65 @@
+const AuditEvent = require('../models/AuditEvent');
+const { collectScreenElementIds } = require('./elementTree');
+
+// Record an audit event for the current request. Never throws: a failing
+// audit write is logged but does not fail the action itself.
+const recordAudit = async (req, { action, target, app, database, workspace, diff, actor }) => {
+  try {
+    await AuditEvent.create({
+      actor: actor !== undefined ? actor : (req.user ? req.user._id : null),
+      impersonatedBy: req.impersonatedBy || null,
+      apiKey: req.apiKey ? req.apiKey._id : null,
+      action,
+      target,
+      app: app || null,
+      database: database || null,
+      workspace: workspace || null,
+      diff: diff || {},
+      ip: req.ip || '',
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500)
+    });
+  } catch (error) {
+    console.error(`Audit write error (${action}):`, error.message);
+  }
+};
+
+// Audit target for a user account
+const userTarget = (user) => ({ type: 'user', id: user._id.toString(), name: user.email });
+
+// Changed simple fields as { field: { from, to } }
+const diffFields = (before, after, fields) => {
+  const diff = {};
+  fields.forEach(field => {
+    if (after[field] === undefined) return;
+    const from = before[field] === undefined ? null : before[field];
+    if (JSON.stringify(from) !== JSON.stringify(after[field])) {
+      diff[field] = { from, to: after[field] };
+    }
+  });
+  return diff;
+};
+
+// Summarize a screens replacement: screens/elements added, removed and changed
+const summarizeScreenChanges = (beforeScreens, afterScreens) => {
+  const before = JSON.parse(JSON.stringify(beforeScreens || []));
+  const after = JSON.parse(JSON.stringify(afterScreens || []));
+
+  const beforeById = new Map(before.map(screen => [screen.id, screen]));
+  const afterById = new Map(after.map(screen => [screen.id, screen]));
+
+  const beforeElements = collectScreenElementIds(before);
+  const afterElements = collectScreenElementIds(after);
+
+  return {
+    screensAdded: after.filter(s => !beforeById.has(s.id)).map(s => s.name),
+    screensRemoved: before.filter(s => !afterById.has(s.id)).map(s => s.name),
+    screensChanged: after
+      .filter(s => beforeById.has(s.id) && JSON.stringify(beforeById.get(s.id)) !== JSON.stringify(s))
+      .map(s => s.name),
+    elementsAdded: [...afterElements].filter(id => !beforeElements.has(id)).length,
+    elementsRemoved: [...beforeElements].filter(id => !afterElements.has(id)).length,
+    elementCount: { from: beforeElements.size, to: afterElements.size }
+  };
+};
+
+module.exports = { recordAudit, userTarget, diffFields, summarizeScreenChanges };
@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const { walkElements } = require('./elementTree');
+const { buildMongoQuery } = require('./recordQuery');
+
+// Server-side evaluation of calculations (element.calculations and the
+// app-level calculations map). A calculation is a list of steps run left to
+// right on an accumulator:
+//   - type 'value': a value from config.source (custom, element, database,
+//     repeating_container, passed_parameter, timestamp). It is combined with
+//     the accumulator by the pending operation; without one it is appended
+//     (text) or starts the result.
+//   - type 'operation': `operation` is a binary operation for the next value
+//     step (add, subtract, ...) or, if the step has a config.source, for its
+//     own value. Unary operations (round, uppercase, ...) apply right away.
+// The evaluation context comes from the caller:
+//   { values: { elementId: value }, rows: { repeatingContainerId: row | recordId },
+//     parameters: { name: value }, screenId, now }
+
+// Rows read by a database step with action 'values'
+const MAX_VALUES = parseInt(process.env.CALCULATION_MAX_VALUES || '1000', 10);
+
+// Error for a calculation that cannot be evaluated
+const calculationError = (message, details = {}) => Object.assign(new Error(message), {
+  code: 'calculation_error',
+  ...details
+});
+
+const BINARY_OPERATIONS = {
+  add: (a, b) => (isNumeric(a) && isNumeric(b) ? toNumber(a) + toNumber(b) : `${toText(a)}${toText(b)}`),
+  subtract: (a, b) => toNumber(a) - toNumber(b),
+  multiply: (a, b) => toNumber(a) * toNumber(b),
+  divide: (a, b) => (toNumber(b) === 0 ? null : toNumber(a) / toNumber(b)),
+  modulo: (a, b) => (toNumber(b) === 0 ? null : toNumber(a) % toNumber(b)),
+  power: (a, b) => Math.pow(toNumber(a), toNumber(b)),
+  min: (a, b) => Math.min(toNumber(a), toNumber(b)),
+  max: (a, b) => Math.max(toNumber(a), toNumber(b)),
+  concatenate: (a, b) => `${toText(a)}${toText(b)}`
+};
+
+const UNARY_OPERATIONS = {
+  round: (a, digits) => {
+    const factor = Math.pow(10, Number.isInteger(Number(digits)) ? Number(digits) : 0);
+    return Math.round(toNumber(a) * factor) / factor;
+  },
+  floor: (a) => Math.floor(toNumber(a)),
+  ceil: (a) => Math.ceil(toNumber(a)),
+  abs: (a) => Math.abs(toNumber(a)),
+  negate: (a) => -toNumber(a),
+  uppercase: (a) => toText(a).toUpperCase(),
+  lowercase: (a) => toText(a).toLowerCase(),
+  trim: (a) => toText(a).trim(),
+  length: (a) => (Array.isArray(a) ? a.length : toText(a).length),
+  sum: (a) => toList(a).reduce((total, item) => total + toNumber(item), 0),
+  average: (a) => {
+    const list = toList(a);
+    return list.length === 0 ? null : UNARY_OPERATIONS.sum(list) / list.length;
+  }
+};
+
+// Alternative operation names used by the builder
+const OPERATION_ALIASES = {
+  '+': 'add', plus: 'add',
+  '-': 'subtract', minus: 'subtract',
+  '*': 'multiply', times: 'multiply',
+  '/': 'divide',
+  '%': 'modulo', mod: 'modulo',
+  '^': 'power', pow: 'power',
+  '&': 'concatenate', concat: 'concatenate',
+  upper: 'uppercase', lower: 'lowercase',
+  avg: 'average', count: 'length'
+};
+
+const isNumeric = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+};
+
+const toNumber = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (value instanceof Date) return value.getTime();
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Text form of a value as shown in the app ({{CALC:id}} replacements)
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const normalizeOperation = (operation) => {
+  const name = String(operation || '').trim().toLowerCase();
+  return OPERATION_ALIASES[name] || name;
+};
+
+// Find a calculation by id in plain content. Returns
+// { calculation, screenId, elementId } (ids null for app-level) or null.
+const findCalculation = (content, calculationId) => {
+  const appLevel = content.calculations && content.calculations[calculationId];
+  if (appLevel) return { calculation: appLevel, screenId: null, elementId: null };
+
+  for (const screen of content.screens || []) {
+    let found = null;
+    walkElements(screen.elements, element => {
+      if (!found && element.calculations && element.calculations[calculationId]) {
+        found = { calculation: element.calculations[calculationId], screenId: screen.id, elementId: element.id };
+      }
+    });
+    if (found) return found;
+  }
+  return null;
+};
+
+// Evaluation state shared by the calculations of one request. `loadDatabase`
+// resolves a database id to an active Database the app may read (or null).
+const createEvaluationContext = ({ content, context = {}, loadDatabase }) => {
+  const elements = new Map();
+  (content.screens || []).forEach(screen => {
+    walkElements(screen.elements, element => elements.set(element.id, element));
+  });
+
+  const now = context.now ? new Date(context.now) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw calculationError('context.now must be a valid date');
+  }
+
+  return {
+    content,
+    elements,
+    values: context.values || {},
+    rows: context.rows || {},
+    parameters: context.parameters || {},
+    screenId: context.screenId === undefined ? null : context.screenId,
+    now,
+    loadDatabase,
+    databases: new Map(),
+    queries: new Map()
+  };
+};
+
+// Database and table of a step config or repeatingConfig
+const resolveTable = async (config, state, stepId) => {
+  if (!config.tableId) {
+    throw calculationError('No table selected', { stepId });
+  }
+
+  const key = String(config.databaseId || '');
+  if (!state.databases.has(key)) {
+    const database = config.databaseId && mongoose.isValidObjectId(config.databaseId)
+      ? await state.loadDatabase(config.databaseId)
+      : null;
+    state.databases.set(key, database);
+  }
+
+  const database = state.databases.get(key);
+  if (!database) {
+    throw calculationError('Database not found', { stepId });
+  }
+
+  const table = database.tables.id(config.tableId);
+  if (!table) {
+    throw calculationError('Table not found', { stepId });
+  }
+
+  return { database, table };
+};
+
+// Run a read on a user table; identical reads of one evaluation are cached
+const queryTable = (state, database, table, query, run) => {
+  const key = `${database._id}:${table._id}:${JSON.stringify(query)}`;
+  if (!state.queries.has(key)) {
+    state.queries.set(key, database.withUserDb(db => run(db.collection(table.name))));
+  }
+  return state.queries.get(key);
+};
+
+// Value of a database step: config.action is value (first match), values,
+// count, sum, average, min or max of selectedColumn over the filtered rows
+const readDatabaseValue = async (config, state, stepId) => {
+  const { database, table } = await resolveTable(config, state, stepId);
+  const column = config.selectedColumn;
+  const action = config.action || (column ? 'value' : 'count');
+  const filter = buildMongoQuery(config.filters || [], table.columns);
+
+  if (action !== 'count' && !column) {
+    throw calculationError(`A column is required for the ${action} action`, { stepId });
+  }
+
+  return queryTable(state, database, table, { filter, action, column }, async (collection) => {
+    switch (action) {
+      case 'count':
+        return collection.countDocuments(filter);
+      case 'value': {
+        const record = await collection.findOne(filter, { projection: { [column]: 1 } });
+        return record ? record[column] : null;
+      }
+      case 'values': {
+        const records = await collection.find(filter, { projection: { [column]: 1 } }).limit(MAX_VALUES).toArray();
+        return records.map(record => record[column]);
+      }
+      case 'sum':
+      case 'average':
+      case 'min':
+      case 'max': {
+        const operator = { sum: '$sum', average: '$avg', min: '$min', max: '$max' }[action];
+        const [result] = await collection.aggregate([
+          { $match: filter },
+          { $group: { _id: null, value: { [operator]: `$${column}` } } }
+        ]).toArray();
+        return result ? result.value : (action === 'sum' ? 0 : null);
+      }
+      default:
+        throw calculationError(`Unknown database action "${action}"`, { stepId });
+    }
+  });
+};
+
+// Current row of a repeating container: a row object from the context, or a
+// record id that is loaded from the container's table
+const readRepeatingValue = async (config, state, stepId) => {
+  const containerId = config.repeatingContainerId;
+  const container = state.elements.get(containerId);
+  if (!container || container.contentType !== 'repeating') {
+    throw calculationError(`Repeating container "${containerId}" not found`, { stepId });
+  }
+
+  let row = state.rows[containerId];
+  if (row === undefined || row === null) {
+    throw calculationError(`No row given for repeating container "${containerId}"`, { stepId });
+  }
+
+  if (typeof row !== 'object') {
+    if (!mongoose.isValidObjectId(row)) {
+      throw calculationError(`Invalid row id for repeating container "${containerId}"`, { stepId });
+    }
+    // Only rows the container itself shows (its stored filters apply)
+    const repeatingConfig = container.repeatingConfig || {};
+    const { database, table } = await resolveTable(repeatingConfig, state, stepId);
+    const recordId = String(row);
+    const filter = {
+      $and: [
+        { _id: new mongoose.Types.ObjectId(recordId) },
+        buildMongoQuery(repeatingConfig.filters || [], table.columns)
+      ]
+    };
+    row = await queryTable(state, database, table, { recordId, filter }, collection => {
+      return collection.findOne(filter);
+    });
+    if (!row) {
+      throw calculationError(`Row ${recordId} not found`, { stepId });
+    }
+    state.rows[containerId] = row;
+  }
+
+  const value = row[config.repeatingColumn];
+  return value === undefined ? null : value;
+};
+
+// Rows of a repeating container: the table's columns of the rows matching
+// repeatingConfig.filters, in insertion order, at most `limit` of them
+const readRepeatingRows = async (container, state, limit = MAX_VALUES) => {
+  const config = container.repeatingConfig || {};
+  const { database, table } = await resolveTable(config, state);
+  const filter = buildMongoQuery(config.filters || [], table.columns);
+  const projection = {};
+  table.columns.forEach(column => {
+    projection[column.name] = 1;
+  });
+
+  return queryTable(state, database, table, { filter, limit }, collection => {
+    return collection.find(filter, { projection }).sort({ _id: 1 }).limit(limit).toArray();
+  });
+};
+
+// Element value: from the context (e.g. input values), else the stored
+// value property. Repeating containers count their rows.
+const readElementValue = async (config, state, stepId) => {
+  const element = state.elements.get(config.elementId);
+  if (!element) {
+    throw calculationError(`Element "${config.elementId}" not found`, { stepId });
+  }
+
+  if (Object.prototype.hasOwnProperty.call(state.values, element.id)) {
+    return state.values[element.id];
+  }
+
+  if (element.contentType === 'repeating' && (!config.containerValueType || config.containerValueType === 'count')) {
+    const repeatingConfig = element.repeatingConfig || {};
+    return readDatabaseValue({ ...repeatingConfig, action: 'count' }, state, stepId);
+  }
+
+  const properties = element.properties || {};
+  return properties.value !== undefined ? properties.value : null;
+};
+
+// Current time; config.value picks the format (iso, date, time, unix, ms)
+const readTimestamp = (config, state) => {
+  const iso = state.now.toISOString();
+  switch (config.value) {
+    case 'date':
+      return iso.slice(0, 10);
+    case 'time':
+      return iso.slice(11, 19);
+    case 'unix':
+      return Math.floor(state.now.getTime() / 1000);
+    case 'ms':
+      return state.now.getTime();
+    default:
+      return iso;
+  }
+};
+
+// Value of a step config by its source
+const readSource = async (config, state, stepId) => {
+  switch (config.source) {
+    case 'custom':
+    case undefined:
+    case null:
+    case '':
+      return config.value === undefined ? null : config.value;
+    case 'element':
+      return readElementValue(config, state, stepId);
+    case 'database':
+      return readDatabaseValue(config, state, stepId);
+    case 'repeating_container':
+      return readRepeatingValue(config, state, stepId);
+    case 'passed_parameter': {
+      const value = state.parameters[config.passedParameterName];
+      return value === undefined ? null : value;
+    }
+    case 'timestamp':
+      return readTimestamp(config, state);
+    default:
+      throw calculationError(`Unknown value source "${config.source}"`, { stepId });
+  }
+};
+
+const applyBinary = (operation, left, right, stepId) => {
+  if (left === undefined) return right;
+  const apply = BINARY_OPERATIONS[operation];
+  if (!apply) throw calculationError(`Unknown operation "${operation}"`, { stepId });
+  return apply(left, right);
+};
+
+// Evaluate a calculation. Returns { value, steps } where steps lists the
+// value of the accumulator after each step.
+const evaluateCalculation = async (calculation, state) => {
+  let result;
+  let pending = null;
+  const trace = [];
+
+  for (const step of (calculation && calculation.steps) || []) {
+    const config = step.config || {};
+    const type = step.type || 'operation';
+
+    if (type === 'value') {
+      const value = await readSource(config, state, step.id);
+      result = pending
+        ? applyBinary(pending, result, value, step.id)
+        : (result === undefined ? value : BINARY_OPERATIONS.concatenate(result, value));
+      pending = null;
+    } else if (type === 'operation') {
+      const operation = normalizeOperation(step.operation);
+
+      if (UNARY_OPERATIONS[operation]) {
+        result = UNARY_OPERATIONS[operation](result === undefined ? null : result, config.value);
+      } else if (!BINARY_OPERATIONS[operation]) {
+        throw calculationError(`Unknown operation "${step.operation}"`, { stepId: step.id });
+      } else if (config.source) {
+        result = applyBinary(operation, result, await readSource(config, state, step.id), step.id);
+      } else {
+        pending = operation;
+      }
+    } else {
+      throw calculationError(`Unknown step type "${type}"`, { stepId: step.id });
+    }
+
+    trace.push({ id: step.id, type, operation: step.operation || null, value: result === undefined ? null : result });
+  }
+
+  return { value: result === undefined ? null : result, steps: trace };
+};
+
+// Replace {{CALC:id}} tokens in a text with the calculation results.
+// Unknown or failing calculations are replaced by '' and reported.
+const renderCalculationTokens = async (text, state) => {
+  const errors = [];
+  const tokens = [...new Set(String(text).match(/\{\{CALC:([^}]+)\}\}/g) || [])];
+  let output = String(text);
+
+  for (const token of tokens) {
+    const calculationId = token.slice(7, -2);
+    let replacement = '';
+    const found = findCalculation(state.content, calculationId);
+
+    if (!found) {
+      errors.push({ calculationId, message: 'Calculation not found' });
+    } else {
+      try {
+        replacement = toText((await evaluateCalculation(found.calculation, state)).value);
+      } catch (error) {
+        if (error.code !== 'calculation_error') throw error;
+        errors.push({ calculationId, stepId: error.stepId, message: error.message });
+      }
+    }
+
+    output = output.split(token).join(replacement);
+  }
+
+  return { text: output, errors };
+};
+
+module.exports = {
+  BINARY_OPERATIONS,
+  UNARY_OPERATIONS,
+  calculationError,
+  normalizeOperation,
+  isNumeric,
+  toNumber,
+  toText,
+  readSource,
+  findCalculation,
+  createEvaluationContext,
+  evaluateCalculation,
+  readRepeatingRows,
+  renderCalculationTokens
+};
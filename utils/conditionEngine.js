@@ -0,0 +1,259 @@
+const {
+  BINARY_OPERATIONS,
+  UNARY_OPERATIONS,
+  calculationError,
+  normalizeOperation,
+  isNumeric,
+  toNumber,
+  toText,
+  readSource
+} = require('./calculationEngine');
+
+// Server-side evaluation of conditional rendering. An element with
+// renderType 'conditional' has a list of conditions (branches); the first
+// whose steps evaluate to true is rendered, with its `properties` merged over
+// the element's. A condition without steps always matches (an "else"
+// branch). When no branch matches, or the branch sets `hidden: true`, the
+// element and its children are not rendered.
+//
+// Condition steps share the value sources of calculation steps. Operations
+// are comparisons (equals, greater_than, ...), and/or, arithmetic (add, ...)
+// and postfix checks (is_empty, is_not_empty). Arithmetic binds tighter than
+// comparisons, comparisons tighter than `and`, `and` tighter than `or`.
+
+const COMPARISONS = {
+  equals: (a, b) => compare(a, b) === 0,
+  not_equals: (a, b) => compare(a, b) !== 0,
+  greater_than: (a, b) => compare(a, b) > 0,
+  less_than: (a, b) => compare(a, b) < 0,
+  greater_equal: (a, b) => compare(a, b) >= 0,
+  less_equal: (a, b) => compare(a, b) <= 0,
+  contains: (a, b) => (Array.isArray(a)
+    ? a.some(item => compare(item, b) === 0)
+    : toText(a).toLowerCase().includes(toText(b).toLowerCase())),
+  not_contains: (a, b) => !COMPARISONS.contains(a, b),
+  starts_with: (a, b) => toText(a).toLowerCase().startsWith(toText(b).toLowerCase()),
+  ends_with: (a, b) => toText(a).toLowerCase().endsWith(toText(b).toLowerCase())
+};
+
+const CHECKS = {
+  is_empty: (a) => isEmpty(a),
+  is_not_empty: (a) => !isEmpty(a),
+  is_true: (a) => toBoolean(a),
+  is_false: (a) => !toBoolean(a)
+};
+
+const LOGICAL = ['and', 'or'];
+
+// Alternative operation names used by the builder
+const CONDITION_ALIASES = {
+  '=': 'equals', '==': 'equals', equal: 'equals', eq: 'equals',
+  '!=': 'not_equals', not_equal: 'not_equals', ne: 'not_equals',
+  '>': 'greater_than', gt: 'greater_than',
+  '<': 'less_than', lt: 'less_than',
+  '>=': 'greater_equal', gte: 'greater_equal', greater_than_or_equal: 'greater_equal',
+  '<=': 'less_equal', lte: 'less_equal', less_than_or_equal: 'less_equal',
+  '&&': 'and', '||': 'or'
+};
+
+const normalizeConditionOperation = (operation) => {
+  const name = String(operation || '').trim().toLowerCase();
+  return CONDITION_ALIASES[name] || normalizeOperation(name);
+};
+
+// Numbers compare numerically, everything else as text
+const compare = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) return toNumber(a) - toNumber(b);
+  if (typeof a === 'boolean' || typeof b === 'boolean') return toBoolean(a) === toBoolean(b) ? 0 : 1;
+  return toText(a).localeCompare(toText(b));
+};
+
+const isEmpty = (value) => value === null || value === undefined
+  || (Array.isArray(value) ? value.length === 0 : toText(value).trim() === '');
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (Array.isArray(value)) return value.length > 0;
+  const text = toText(value).trim().toLowerCase();
+  return text !== '' && text !== 'false' && text !== '0';
+};
+
+// Steps as a flat list of { value } operands and { op } operators
+const tokenize = async (steps, state) => {
+  const tokens = [];
+
+  for (const step of steps) {
+    const config = step.config || {};
+    const type = step.type || 'operation';
+
+    if (type === 'value') {
+      tokens.push({ value: await readSource(config, state, step.id), stepId: step.id });
+      continue;
+    }
+    if (type !== 'operation') {
+      throw calculationError(`Unknown step type "${type}"`, { stepId: step.id });
+    }
+
+    const op = normalizeConditionOperation(step.operation);
+    const known = COMPARISONS[op] || CHECKS[op] || LOGICAL.includes(op) || BINARY_OPERATIONS[op] || UNARY_OPERATIONS[op];
+    if (!known) {
+      throw calculationError(`Unknown operation "${step.operation}"`, { stepId: step.id });
+    }
+
+    tokens.push({ op, config, stepId: step.id });
+    // An operation step may carry its right-hand operand
+    if (config.source && !CHECKS[op] && !UNARY_OPERATIONS[op]) {
+      tokens.push({ value: await readSource(config, state, step.id), stepId: step.id });
+    }
+  }
+
+  return tokens;
+};
+
+// Apply postfix checks/unary operations, then fold arithmetic, then
+// comparisons, into operand tokens
+const reduceOperands = (tokens) => {
+  const postfix = [];
+  tokens.forEach(token => {
+    const previous = postfix[postfix.length - 1];
+    if (token.op && (CHECKS[token.op] || UNARY_OPERATIONS[token.op])) {
+      if (!previous || !('value' in previous)) {
+        throw calculationError(`"${token.op}" needs a value before it`, { stepId: token.stepId });
+      }
+      previous.value = CHECKS[token.op]
+        ? CHECKS[token.op](previous.value)
+        : UNARY_OPERATIONS[token.op](previous.value, token.config.value);
+      return;
+    }
+    postfix.push({ ...token });
+  });
+
+  const fold = (list, operations) => {
+    const output = [];
+    for (let index = 0; index < list.length; index++) {
+      const token = list[index];
+      if (token.op && operations[token.op]) {
+        const left = output.pop();
+        const right = list[index + 1];
+        if (!left || !('value' in left) || !right || !('value' in right)) {
+          throw calculationError(`"${token.op}" needs a value on both sides`, { stepId: token.stepId });
+        }
+        output.push({ value: operations[token.op](left.value, right.value), stepId: token.stepId });
+        index++;
+      } else {
+        output.push(token);
+      }
+    }
+    return output;
+  };
+
+  return fold(fold(postfix, BINARY_OPERATIONS), COMPARISONS);
+};
+
+// Evaluate the steps of a condition to a boolean
+const evaluateCondition = async (condition, state) => {
+  const steps = (condition && condition.steps) || [];
+  if (steps.length === 0) return true;
+
+  const tokens = reduceOperands(await tokenize(steps, state));
+
+  // Remaining tokens alternate operand, and/or, operand, ...
+  const groups = [[]];
+  let expectOperand = true;
+  tokens.forEach(token => {
+    if (expectOperand !== ('value' in token)) {
+      throw calculationError('Condition steps must alternate values and and/or', { stepId: token.stepId });
+    }
+    if (token.op === 'or') {
+      groups.push([]);
+    } else if ('value' in token) {
+      groups[groups.length - 1].push(toBoolean(token.value));
+    }
+    expectOperand = !expectOperand;
+  });
+  if (expectOperand) {
+    throw calculationError('Condition ends with an operation', { stepId: steps[steps.length - 1].id });
+  }
+
+  return groups.some(group => group.every(Boolean));
+};
+
+// Resolve the branch of a conditional element. Returns { condition } (null
+// when hidden) plus an `error` if a condition could not be evaluated; such a
+// condition counts as not matching so nothing is revealed by mistake.
+const resolveBranch = async (element, state) => {
+  for (const condition of element.conditions || []) {
+    try {
+      if (await evaluateCondition(condition, state)) {
+        const hidden = Boolean(condition.properties && condition.properties.hidden === true);
+        return { condition: hidden ? null : condition, conditionId: condition.id };
+      }
+    } catch (error) {
+      if (error.code !== 'calculation_error') throw error;
+      return {
+        condition: null,
+        conditionId: null,
+        error: { conditionId: condition.id, stepId: error.stepId, message: error.message }
+      };
+    }
+  }
+  return { condition: null, conditionId: null };
+};
+
+// Copy of an element (without children and conditions) rendered as the
+// given branch
+const applyBranch = (element, condition) => {
+  const { conditions, children, ...rest } = element;
+  const copy = JSON.parse(JSON.stringify(rest));
+
+  if (condition) {
+    copy.properties = { ...(copy.properties || {}), ...JSON.parse(JSON.stringify(condition.properties || {})) };
+    copy.renderType = 'fixed';
+    copy.conditionId = condition.id;
+  }
+  return copy;
+};
+
+// Copy of the element tree with every conditional element replaced by its
+// branch (or removed). The result carries no conditions, so content of
+// branches that did not match never leaves the server.
+const resolveElements = async (elements, state, report) => {
+  const resolved = [];
+
+  for (const element of elements || []) {
+    if (!element) continue;
+    let condition = null;
+
+    if (element.renderType === 'conditional') {
+      const branch = await resolveBranch(element, state);
+      report.push({
+        elementId: element.id,
+        conditionId: branch.conditionId,
+        visible: Boolean(branch.condition),
+        ...(branch.error && { error: branch.error })
+      });
+      if (!branch.condition) continue;
+      condition = branch.condition;
+    }
+
+    const copy = applyBranch(element, condition);
+    copy.children = await resolveElements(element.children, state, report);
+    resolved.push(copy);
+  }
+
+  return resolved;
+};
+
+// Resolve a (plain) screen for the evaluation state. Returns
+// { screen, conditions } where conditions reports each conditional element.
+const resolveScreen = async (screen, state) => {
+  const conditions = [];
+  const elements = await resolveElements(screen.elements, state, conditions);
+  return {
+    screen: { id: screen.id, name: screen.name, url: screen.url || '', elements },
+    conditions
+  };
+};
+
+module.exports = { evaluateCondition, resolveBranch, applyBranch, resolveScreen, toBoolean };
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const App = require('../models/App');
+
+// Custom domains: the owner adds a TXT record
+//   _appbuilder-verification.<domain>  "appbuilder-verification=<token>"
+// and the domain serves the app's published snapshot once it is verified.
+const TXT_RECORD_PREFIX = '_appbuilder-verification';
+const TXT_VALUE_PREFIX = 'appbuilder-verification=';
+
+// Custom domains allowed per app
+const MAX_DOMAINS_PER_APP = parseInt(process.env.APP_MAX_CUSTOM_DOMAINS || '5', 10);
+
+// Builder/front-end origins always allowed for Socket.IO (comma-separated).
+// Subdomains of these hosts (app subdomains) are allowed as well.
+const CLIENT_ORIGINS = (process.env.CLIENT_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// How long the verified domain list is cached for origin checks
+const ORIGIN_CACHE_TTL_MS = 60 * 1000;
+
+// Hostname with at least one dot and a letter-only TLD, e.g. app.example.com
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Normalize a domain or Host header value: lowercase, no port, no trailing dot
+const normalizeDomain = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/:\d+$/, '')
+  .replace(/\.$/, '');
+
+const isValidDomain = (domain) => DOMAIN_PATTERN.test(domain);
+
+const generateVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+// DNS record the owner has to create for a domain entry
+const getVerificationRecord = (entry) => ({
+  type: 'TXT',
+  name: `${TXT_RECORD_PREFIX}.${entry.domain}`,
+  value: `${TXT_VALUE_PREFIX}${entry.verificationToken}`
+});
+
+// Look up the TXT record of a domain entry. Resolves to { verified, error }.
+const checkVerificationRecord = async (entry) => {
+  const { name, value } = getVerificationRecord(entry);
+
+  try {
+    const records = await dns.resolveTxt(name);
+    // Long TXT values are split into chunks by DNS
+    const verified = records.some(chunks => chunks.join('').trim() === value);
+    return { verified, error: verified ? null : `TXT record ${name} does not contain the verification token` };
+  } catch (error) {
+    if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+      return { verified: false, error: `No TXT record found at ${name}` };
+    }
+    return { verified: false, error: `DNS lookup failed (${error.code || error.message})` };
+  }
+};
+
+// Find the published app behind a verified custom domain
+const findAppByDomain = (host) => {
+  const domain = normalizeDomain(host);
+  if (!domain) return null;
+
+  return App.findOne({
+    customDomains: { $elemMatch: { domain, status: 'verified' } },
+    isPublished: true
+  });
+};
+
+let verifiedDomainCache = null;
+
+// Verified custom domains of published apps (cached)
+const getVerifiedDomains = async () => {
+  if (verifiedDomainCache && verifiedDomainCache.expiresAt > Date.now()) {
+    return verifiedDomainCache.domains;
+  }
+
+  const rows = await App.aggregate([
+    { $match: { isPublished: true, 'customDomains.status': 'verified' } },
+    { $unwind: '$customDomains' },
+    { $match: { 'customDomains.status': 'verified' } },
+    { $project: { _id: 0, domain: '$customDomains.domain' } }
+  ]);
+
+  const domains = new Set(rows.map(row => row.domain));
+  verifiedDomainCache = { domains, expiresAt: Date.now() + ORIGIN_CACHE_TTL_MS };
+  return domains;
+};
+
+// Drop the cached list after domains are verified, removed or unpublished
+const invalidateDomainCache = () => {
+  verifiedDomainCache = null;
+};
+
+const isClientOrigin = (origin) => CLIENT_ORIGINS.some(allowed => {
+  if (origin === allowed) return true;
+
+  // Subdomain of a client origin with the same scheme and port
+  const base = new URL(allowed);
+  const candidate = new URL(origin);
+  return candidate.protocol === base.protocol
+    && candidate.port === base.port
+    && candidate.hostname.endsWith(`.${base.hostname}`);
+});
+
+// Whether a browser Origin may connect: configured client origins, their
+// subdomains, and verified custom domains (http or https)
+const isAllowedOrigin = async (origin) => {
+  // Non-browser clients do not send an Origin
+  if (!origin) return true;
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+
+  if (isClientOrigin(origin)) return true;
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+
+  const domains = await getVerifiedDomains();
+  return domains.has(url.hostname);
+};
+
+// `origin` option for Socket.IO / cors built from isAllowedOrigin
+const corsOrigin = (origin, callback) => {
+  isAllowedOrigin(origin)
+    .then(allowed => callback(null, allowed))
+    .catch(error => {
+      console.error('CORS origin check error:', error);
+      callback(null, false);
+    });
+};
+
+module.exports = {
+  MAX_DOMAINS_PER_APP,
+  normalizeDomain,
+  isValidDomain,
+  generateVerificationToken,
+  getVerificationRecord,
+  checkVerificationRecord,
+  findAppByDomain,
+  getVerifiedDomains,
+  invalidateDomainCache,
+  isAllowedOrigin,
+  corsOrigin
+};
@@ -0,0 +1,131 @@
+const { walkElements } = require('./elementTree');
+
+// References from app content (screens, calculations) to database objects.
+// Databases and tables are referenced by id, columns by name:
+//   - repeatingConfig { databaseId, tableId, filters[].column }
+//   - calculation/condition step config { databaseId, tableId, selectedColumn,
+//     filters[].column }
+//   - step config { repeatingContainerId, repeatingColumn }: a column of the
+//     table the repeating container reads from
+// Each reference carries a JSON Pointer to the object holding it.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Table each repeating container reads from, by element id
+const collectRepeatingTables = (screens) => {
+  const tables = new Map();
+  (screens || []).forEach(screen => {
+    walkElements(screen.elements, element => {
+      const config = element.repeatingConfig;
+      if (element.contentType === 'repeating' && config && config.tableId) {
+        tables.set(element.id, { databaseId: config.databaseId || null, tableId: String(config.tableId) });
+      }
+    });
+  });
+  return tables;
+};
+
+// All data references in plain app content ({ screens, calculations })
+const collectDataReferences = (content) => {
+  const references = [];
+  const repeatingTables = collectRepeatingTables(content.screens);
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}/${index}`));
+      return;
+    }
+    if (!isPlainObject(value)) return;
+
+    if (typeof value.tableId === 'string' && value.tableId) {
+      const base = { databaseId: value.databaseId || null, tableId: value.tableId, path };
+      references.push({ ...base, column: null });
+
+      if (typeof value.selectedColumn === 'string' && value.selectedColumn) {
+        references.push({ ...base, column: value.selectedColumn, path: `${path}/selectedColumn` });
+      }
+      (Array.isArray(value.filters) ? value.filters : []).forEach((filter, index) => {
+        if (filter && typeof filter.column === 'string' && filter.column) {
+          references.push({ ...base, column: filter.column, path: `${path}/filters/${index}/column` });
+        }
+      });
+    }
+
+    if (typeof value.repeatingContainerId === 'string' && typeof value.repeatingColumn === 'string' && value.repeatingColumn) {
+      const table = repeatingTables.get(value.repeatingContainerId);
+      if (table) {
+        references.push({ ...table, column: value.repeatingColumn, path: `${path}/repeatingColumn` });
+      }
+    }
+
+    Object.keys(value).forEach(key => {
+      // Left-over repeating settings of elements that no longer repeat are unused
+      if (key === 'repeatingConfig' && value.contentType !== 'repeating') return;
+      visit(value[key], `${path}/${escapePointer(key)}`);
+    });
+  };
+
+  visit(content.screens || [], '/screens');
+  visit(content.calculations || {}, '/calculations');
+
+  return references;
+};
+
+const columnKey = (tableId, column) => `${tableId}:${column}`;
+
+// Dependency index stored on the app: ids of the databases and tables it
+// uses and "tableId:column" keys of the columns
+const buildDependencyIndex = (content) => {
+  const databases = new Set();
+  const tables = new Set();
+  const columns = new Set();
+
+  collectDataReferences(content).forEach(reference => {
+    if (reference.databaseId) databases.add(String(reference.databaseId));
+    tables.add(reference.tableId);
+    if (reference.column) columns.add(columnKey(reference.tableId, reference.column));
+  });
+
+  return { databases: [...databases], tables: [...tables], columns: [...columns] };
+};
+
+// Check references against the databases they point at (plain or Mongoose
+// Database documents, by id). Returns the broken ones with a `problem`:
+// database_missing, table_missing or column_missing.
+const findBrokenReferences = (references, databasesById) => {
+  const broken = [];
+
+  references.forEach(reference => {
+    let database = reference.databaseId ? databasesById.get(String(reference.databaseId)) : null;
+
+    // Older content may name only the table
+    if (!reference.databaseId) {
+      database = [...databasesById.values()].find(candidate => {
+        return candidate.tables.some(table => String(table._id) === reference.tableId);
+      }) || null;
+    }
+
+    if (reference.databaseId && !database) {
+      // A column reference of a missing database is reported with the table
+      if (!reference.column) broken.push({ ...reference, problem: 'database_missing' });
+      return;
+    }
+
+    const table = database && database.tables.find(item => String(item._id) === reference.tableId);
+    if (!table) {
+      // A column reference of a missing table is reported with the table
+      if (!reference.column) broken.push({ ...reference, problem: 'table_missing' });
+      return;
+    }
+
+    if (reference.column && !table.columns.some(column => column.name === reference.column)) {
+      broken.push({ ...reference, table: table.name, problem: 'column_missing' });
+    }
+  });
+
+  return broken;
+};
+
+module.exports = { collectDataReferences, buildDependencyIndex, findBrokenReferences, columnKey };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Helpers for the nested element trees stored in app screens
+// (screen.elements -> element.children -> ...). They work on plain objects.
+
+// Depth-first walk; the callback gets (element, parent, depth)
+const walkElements = (elements, callback, parent = null, depth = 0) => {
+  (elements || []).forEach(element => {
+    if (!element) return;
+    callback(element, parent, depth);
+    walkElements(element.children, callback, element, depth + 1);
+  });
+};
+
+// Find an element by id. Returns { element, parent, siblings, index } or null;
+// `siblings` is the array holding the element (screen.elements or parent.children).
+const findElement = (elements, elementId, parent = null) => {
+  const list = elements || [];
+  for (let index = 0; index < list.length; index++) {
+    const element = list[index];
+    if (!element) continue;
+    if (element.id === elementId) {
+      return { element, parent, siblings: list, index };
+    }
+    const found = findElement(element.children, elementId, element);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Find an element in any screen. Returns { screen, ...findElement } or null.
+const findElementInScreens = (screens, elementId) => {
+  for (const screen of screens || []) {
+    const found = findElement(screen.elements, elementId);
+    if (found) return { screen, ...found };
+  }
+  return null;
+};
+
+// Elements from the top of the tree down to the element with the given id
+// (the element last), or null
+const findElementPath = (elements, elementId) => {
+  for (const element of elements || []) {
+    if (!element) continue;
+    if (element.id === elementId) return [element];
+    const path = findElementPath(element.children, elementId);
+    if (path) return [element, ...path];
+  }
+  return null;
+};
+
+// Set of all element ids used in the given screens
+const collectScreenElementIds = (screens) => {
+  const ids = new Set();
+  (screens || []).forEach(screen => {
+    walkElements(screen.elements, element => ids.add(element.id));
+  });
+  return ids;
+};
+
+// Whether `candidateId` is `element` itself or one of its descendants
+const containsElement = (element, candidateId) => {
+  if (element.id === candidateId) return true;
+  return Boolean(findElement(element.children, candidateId));
+};
+
+// New unique element id, e.g. "text_3f9a1c2b"
+const generateElementId = (type, existingIds = new Set()) => {
+  let id;
+  do {
+    id = `${type || 'element'}_${crypto.randomBytes(4).toString('hex')}`;
+  } while (existingIds.has(id));
+  return id;
+};
+
+module.exports = {
+  walkElements,
+  findElement,
+  findElementInScreens,
+  findElementPath,
+  collectScreenElementIds,
+  containsElement,
+  generateElementId
+};
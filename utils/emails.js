@@ -0,0 +1,64 @@
+const { sendMail } = require('./mail');
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Send email address verification link (to a new address when changing email)
+const sendVerificationEmail = (user, token, email = user.email) => {
+  const url = `${getClientUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${url}">${url}</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+// Send password reset link
+const sendPasswordResetEmail = (user, token) => {
+  const url = `${getClientUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open the link below to choose a new password:\n\n${url}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your account. Open the link below to choose a new password:</p><p><a href="${url}">${url}</a></p><p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Confirm that account deletion has been scheduled
+const sendAccountDeletionEmail = (user) => {
+  const date = user.deletionScheduledFor.toUTCString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.name},\n\nYour account and all of its apps and databases will be permanently deleted on ${date}.\n\nIf you change your mind, log in before then and cancel the deletion from your profile.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Your account and all of its apps and databases will be permanently deleted on ${date}.</p><p>If you change your mind, log in before then and cancel the deletion from your profile.</p>`
+  });
+};
+
+// Send workspace invitation link
+const sendWorkspaceInvitationEmail = (email, workspace, inviter, role, token) => {
+  const url = `${getClientUrl()}/invitations/accept?token=${token}`;
+
+  return sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to ${workspace.name}`,
+    text: `${inviter.name} invited you to join the workspace "${workspace.name}" as ${role}.\n\nOpen the link below to accept the invitation:\n\n${url}\n\nThe invitation expires in 7 days.`,
+    html: `<p>${escapeHtml(inviter.name)} invited you to join the workspace "${escapeHtml(workspace.name)}" as ${role}.</p><p>Open the link below to accept the invitation:</p><p><a href="${url}">${url}</a></p><p>The invitation expires in 7 days.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountDeletionEmail,
+  sendWorkspaceInvitationEmail
+};
@@ -0,0 +1,33 @@
+// Helper functions for data validation of record fields (by column type)
+
+function validateFieldValue(value, type) {
+  switch (type) {
+    case 'number':
+      const num = Number(value);
+      return isNaN(num) ? 0 : num;
+    case 'boolean':
+      return Boolean(value);
+    case 'date':
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? new Date() : date;
+    case 'string':
+    default:
+      return String(value || '');
+  }
+}
+
+function getDefaultValue(type) {
+  switch (type) {
+    case 'number':
+      return 0;
+    case 'boolean':
+      return false;
+    case 'date':
+      return new Date();
+    case 'string':
+    default:
+      return '';
+  }
+}
+
+module.exports = { validateFieldValue, getDefaultValue };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// HyperLogLog sketch for unique visitor estimates. Registers are stored as a
+// sparse object { registerIndex: rank } so MongoDB can update them with
+// $max; visitor ids themselves are never stored. Precision 10 gives
+// 1024 registers and a standard error of about 3%.
+
+const PRECISION = 10;
+const REGISTER_COUNT = 1 << PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTER_COUNT);
+
+// Register index and rank for a visitor id
+const hashVisitor = (visitorId) => {
+  const digest = crypto.createHash('sha256').update(String(visitorId)).digest();
+  const index = digest.readUInt16BE(0) >>> (16 - PRECISION);
+  const rank = Math.clz32(digest.readUInt32BE(2)) + 1;
+  return { index, rank };
+};
+
+// Merge sketches by taking the maximum rank per register
+const mergeRegisters = (sketches) => {
+  const merged = {};
+  sketches.forEach(registers => {
+    Object.entries(registers || {}).forEach(([index, rank]) => {
+      if (!merged[index] || merged[index] < rank) merged[index] = rank;
+    });
+  });
+  return merged;
+};
+
+// Estimated number of distinct visitors in a sketch
+const estimateCardinality = (registers) => {
+  const entries = Object.values(registers || {});
+  const emptyRegisters = REGISTER_COUNT - entries.length;
+
+  let sum = emptyRegisters;
+  entries.forEach(rank => {
+    sum += Math.pow(2, -rank);
+  });
+
+  const estimate = (ALPHA * REGISTER_COUNT * REGISTER_COUNT) / sum;
+
+  // Linear counting is more accurate for small cardinalities
+  if (estimate <= 2.5 * REGISTER_COUNT && emptyRegisters > 0) {
+    return Math.round(REGISTER_COUNT * Math.log(REGISTER_COUNT / emptyRegisters));
+  }
+  return Math.round(estimate);
+};
+
+module.exports = { hashVisitor, mergeRegisters, estimateCardinality };
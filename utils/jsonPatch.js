@@ -0,0 +1,174 @@
+// JSON Patch (RFC 6902) with JSON Pointer paths (RFC 6901).
+// applyPatch works on a deep copy and either applies every operation or
+// throws; errors carry `operationIndex` and `path` for the response.
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const patchError = (message, operationIndex, path) => {
+  return Object.assign(new Error(message), { code: 'invalid_patch', operationIndex, path });
+};
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// "/screens/0/name" -> ['screens', '0', 'name']
+const parsePointer = (pointer, operationIndex) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON Pointer "${pointer}"`, operationIndex, pointer);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Array index token: digits without leading zeros, or "-" when allowed
+const parseArrayIndex = (token, length, allowEnd, operationIndex, path) => {
+  if (allowEnd && token === '-') return length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw patchError(`Invalid array index "${token}"`, operationIndex, path);
+  }
+  const index = parseInt(token, 10);
+  if (index > length || (!allowEnd && index === length)) {
+    throw patchError(`Array index ${index} is out of bounds`, operationIndex, path);
+  }
+  return index;
+};
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Resolve the parent container of the last token
+const resolveParent = (document, tokens, operationIndex, path) => {
+  let current = document;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    if (Array.isArray(current)) {
+      current = current[parseArrayIndex(token, current.length, false, operationIndex, path)];
+    } else if (isContainer(current) && hasOwn(current, token)) {
+      current = current[token];
+    } else {
+      throw patchError(`Path "${path}" does not exist`, operationIndex, path);
+    }
+  }
+  if (!isContainer(current)) {
+    throw patchError(`Path "${path}" does not exist`, operationIndex, path);
+  }
+  return current;
+};
+
+const getValue = (document, tokens, operationIndex, path) => {
+  if (tokens.length === 0) return document;
+  const parent = resolveParent(document, tokens, operationIndex, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    return parent[parseArrayIndex(key, parent.length, false, operationIndex, path)];
+  }
+  if (!hasOwn(parent, key)) {
+    throw patchError(`Path "${path}" does not exist`, operationIndex, path);
+  }
+  return parent[key];
+};
+
+const addValue = (document, tokens, value, operationIndex, path) => {
+  if (tokens.length === 0) return value;
+  const parent = resolveParent(document, tokens, operationIndex, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(parseArrayIndex(key, parent.length, true, operationIndex, path), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, tokens, operationIndex, path) => {
+  if (tokens.length === 0) {
+    throw patchError('Cannot remove the whole document', operationIndex, path);
+  }
+  const parent = resolveParent(document, tokens, operationIndex, path);
+  const key = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    return parent.splice(parseArrayIndex(key, parent.length, false, operationIndex, path), 1)[0];
+  }
+  if (!hasOwn(parent, key)) {
+    throw patchError(`Path "${path}" does not exist`, operationIndex, path);
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+};
+
+// Apply one operation, returning the (possibly replaced) document
+const applyOperation = (document, operation, operationIndex) => {
+  if (!isContainer(operation) || !OPERATIONS.includes(operation.op)) {
+    throw patchError(`Operation must have an "op" of ${OPERATIONS.join(', ')}`, operationIndex);
+  }
+
+  const { op, path } = operation;
+  const tokens = parsePointer(path, operationIndex);
+
+  if (['add', 'replace', 'test'].includes(op) && !hasOwn(operation, 'value')) {
+    throw patchError(`"${op}" operation requires a value`, operationIndex, path);
+  }
+
+  switch (op) {
+    case 'add':
+      return addValue(document, tokens, clone(operation.value), operationIndex, path);
+    case 'remove':
+      removeValue(document, tokens, operationIndex, path);
+      return document;
+    case 'replace':
+      if (tokens.length === 0) return clone(operation.value);
+      getValue(document, tokens, operationIndex, path);
+      removeValue(document, tokens, operationIndex, path);
+      return addValue(document, tokens, clone(operation.value), operationIndex, path);
+    case 'move': {
+      const fromTokens = parsePointer(operation.from, operationIndex);
+      if (path.startsWith(`${operation.from}/`)) {
+        throw patchError('Cannot move a value into one of its children', operationIndex, path);
+      }
+      if (path === operation.from) return document;
+      const value = removeValue(document, fromTokens, operationIndex, operation.from);
+      return addValue(document, tokens, value, operationIndex, path);
+    }
+    case 'copy': {
+      const fromTokens = parsePointer(operation.from, operationIndex);
+      const value = clone(getValue(document, fromTokens, operationIndex, operation.from));
+      return addValue(document, tokens, value, operationIndex, path);
+    }
+    case 'test': {
+      const actual = getValue(document, tokens, operationIndex, path);
+      if (!deepEqual(actual, operation.value)) {
+        throw Object.assign(
+          patchError(`Test failed at "${path}"`, operationIndex, path),
+          { code: 'test_failed' }
+        );
+      }
+      return document;
+    }
+    default:
+      return document;
+  }
+};
+
+// Structural equality of JSON values (key order does not matter)
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+// Apply a patch document to a copy of `document` and return the result
+const applyPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError('Patch must be an array of operations');
+  }
+  return operations.reduce(
+    (current, operation, index) => applyOperation(current, operation, index),
+    clone(document)
+  );
+};
+
+module.exports = { applyPatch, parsePointer };
@@ -0,0 +1,14 @@
+// Console transport (development). Logs that a message was sent instead of
+// sending it. The body is never logged since it may hold reset or
+// verification tokens; use the file transport to read messages locally.
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+      return { id: `console-${Date.now()}` };
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
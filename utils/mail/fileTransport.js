@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File transport (local/testing). Writes every message as JSON into MAIL_DIR.
+const createFileTransport = () => {
+  const mailDir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(mailDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(mailDir, `${id}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+      return { id, path: filePath };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,57 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Every transport implements: send({ from, to, subject, text, html }) => Promise<{ id }>
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+// Name of the transport selected by MAIL_TRANSPORT. Production must set it
+// explicitly; the console default is for development only.
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+// Fail at startup on a missing or unknown mail transport
+const assertMailConfig = () => {
+  const name = getTransportName();
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+// Get transport selected by MAIL_TRANSPORT (defaults to console outside production)
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = getTransportName();
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Replace the active transport (e.g. with a custom one in tests)
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'AppBuilder <no-reply@appbuilder.local>',
+    ...message
+  });
+};
+
+module.exports = { sendMail, getTransport, setTransport, assertMailConfig };
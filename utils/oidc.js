@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generic OpenID Connect authorization-code flow with PKCE.
+// Configured through env so any provider (or a local mock IdP) can be used:
+//   OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI,
+//   OIDC_SCOPES (default "openid email profile"), OIDC_DISCOVERY_URL (optional)
+const getConfig = () => ({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  discoveryUrl: process.env.OIDC_DISCOVERY_URL
+    || (process.env.OIDC_ISSUER && `${process.env.OIDC_ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`),
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+});
+
+const isConfigured = () => {
+  const config = getConfig();
+  return !!(config.issuer && config.clientId && config.redirectUri);
+};
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed (${response.status}): ${data.error_description || data.error || 'unknown error'}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Fetch provider metadata (.well-known/openid-configuration), cached
+const discover = async () => {
+  if (discoveryCache && Date.now() - discoveryCache.fetchedAt < DISCOVERY_TTL_MS) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(getConfig().discoveryUrl);
+  discoveryCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Get signing key by kid; refetches the JWKS once for unknown kids (key rotation)
+const getSigningKey = async (kid) => {
+  const metadata = await discover();
+
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let key = jwksCache && findKey(jwksCache.keys);
+  if (!key) {
+    jwksCache = await fetchJson(metadata.jwks_uri);
+    key = findKey(jwksCache.keys || []);
+  }
+  if (!key) throw new Error('No matching signing key found for ID token');
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Create PKCE verifier/challenge, state and nonce for a new login
+const createAuthRequest = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(24)),
+    nonce: base64Url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// Build the provider authorization URL
+const getAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange authorization code for tokens and return verified ID token claims
+const exchangeCode = async (code, { codeVerifier, nonce }) => {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) {
+    params.set('client_secret', config.clientSecret);
+  }
+
+  const tokenSet = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString()
+  });
+
+  if (!tokenSet.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+
+  const decoded = jwt.decode(tokenSet.id_token, { complete: true });
+  if (!decoded) throw new Error('Malformed ID token');
+
+  const publicKey = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokenSet.id_token, publicKey, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    audience: config.clientId,
+    issuer: metadata.issuer || config.issuer
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  // Fill in missing profile claims from the userinfo endpoint
+  if ((!claims.email || !claims.name) && metadata.userinfo_endpoint && tokenSet.access_token) {
+    try {
+      const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokenSet.access_token}` }
+      });
+      if (userInfo.sub === claims.sub) {
+        return { ...userInfo, ...claims };
+      }
+    } catch (error) {
+      console.error('OIDC userinfo error:', error.message);
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getConfig,
+  isConfigured,
+  createAuthRequest,
+  getAuthorizationUrl,
+  exchangeCode
+};
@@ -0,0 +1,84 @@
+const App = require('../models/App');
+const AppVersion = require('../models/AppVersion');
+const AppPublication = require('../models/AppPublication');
+
+// Content fields served from the publication instead of the draft
+const PUBLISHED_CONTENT_FIELDS = ['screens', 'homeScreenId', 'settings', 'calculations'];
+
+// Live publication of a published app. Apps published before publications
+// existed get one frozen from their current state, which is what was live.
+const getLivePublication = async (app) => {
+  if (app.publishedSnapshot) {
+    const publication = await AppPublication.findById(app.publishedSnapshot);
+    if (publication) return publication;
+  }
+
+  const publication = await AppPublication.publish(app, AppVersion.captureContent(app), app.owner);
+  const { modifiedCount } = await App.updateOne(
+    { _id: app._id, publishedSnapshot: app.publishedSnapshot || null },
+    { publishedSnapshot: publication._id },
+    { timestamps: false }
+  );
+
+  // Another request got there first: serve its publication instead
+  if (modifiedCount === 0) {
+    const current = await App.findById(app._id).select('publishedSnapshot');
+    const winner = current && current.publishedSnapshot && await AppPublication.findById(current.publishedSnapshot);
+    if (winner) {
+      await AppPublication.deleteOne({ _id: publication._id });
+      app.publishedSnapshot = winner._id;
+      return winner;
+    }
+  }
+
+  app.publishedSnapshot = publication._id;
+  return publication;
+};
+
+// Screens as served to end users: conditional elements are reduced to a
+// placeholder ({ id, type, renderType }) without conditions, properties or
+// children, so content hidden by a condition never reaches the client. The
+// client resolves them through POST /api/apps/:id/published/screens/:screenId/resolve.
+const stripConditionalContent = (elements) => (elements || []).map(element => {
+  if (!element) return element;
+  if (element.renderType === 'conditional') {
+    return { id: element.id, type: element.type, renderType: 'conditional', children: [] };
+  }
+  const { conditions, ...rest } = element;
+  return { ...rest, children: stripConditionalContent(element.children) };
+});
+
+// Find a published app by e.g. { subdomain } or { slug }.
+// Returns { app, publication } or null when there is no published app.
+const findPublishedApp = async (query) => {
+  const app = await App.findOne({ ...query, isPublished: true });
+  if (!app) return null;
+
+  const publication = await getLivePublication(app);
+  return { app, publication };
+};
+
+// Plain app object as served to end users: app metadata with the content of
+// the live publication
+const toPublishedView = (app, publication) => {
+  const view = app.toObject({ flattenMaps: true });
+  const content = publication.toObject({ flattenMaps: true });
+  PUBLISHED_CONTENT_FIELDS.forEach(field => {
+    view[field] = content[field];
+  });
+  view.screens = (view.screens || []).map(screen => ({
+    ...screen,
+    elements: stripConditionalContent(screen.elements)
+  }));
+  // Domain setup (verification tokens) is builder-only
+  delete view.customDomains;
+  view.version = publication.version;
+  view.publication = {
+    number: publication.number,
+    version: publication.version,
+    publishedAt: publication.publishedAt
+  };
+  return view;
+};
+
+module.exports = { getLivePublication, findPublishedApp, toPublishedView };
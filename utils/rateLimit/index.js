@@ -0,0 +1,63 @@
+const createMemoryStore = require('./memoryStore');
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createMemoryStore();
+  return defaultStore;
+};
+
+// Replace the store used by limiters that don't get one explicitly
+// (e.g. a shared Redis-backed store when running several nodes)
+const setDefaultStore = (store) => {
+  defaultStore = store;
+};
+
+// Create rate limiting middleware.
+// keyGenerator(req) returns the key to count on, or null to skip the request.
+const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator,
+  store,
+  message = 'Too many requests, please try again later.'
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const limiterStore = store || getDefaultStore();
+      const { count, resetAt } = await limiterStore.increment(`${name}:${key}`, windowMs);
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(Math.ceil((resetAt - Date.now()) / 1000)));
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the store is unavailable
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+};
+
+// Key helpers. byEmail limiters go after the body('email').normalizeEmail()
+// sanitizer so address variants share one counter.
+const byIp = (req) => req.ip;
+const byEmail = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email || null;
+};
+
+module.exports = { createRateLimiter, setDefaultStore, createMemoryStore, byIp, byEmail };
@@ -0,0 +1,37 @@
+// In-memory rate limit store (single node only; counters are lost on restart).
+// Store interface:
+//   increment(key, windowMs) => Promise<{ count, resetAt }>
+//   reset(key) => Promise<void>
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, cleanupIntervalMs);
+  cleanup.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
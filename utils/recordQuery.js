@@ -0,0 +1,95 @@
+// Translation of the filters used by queries, calculations and repeating
+// containers ({ column, operator, value, logic }) into MongoDB queries on a
+// user table. Values are converted to the column's type.
+
+// Helper function to build MongoDB query from filters
+function buildMongoQuery(filters, tableColumns) {
+  if (!filters || filters.length === 0) {
+    return {};
+  }
+
+  const conditions = [];
+  
+  filters.forEach((filter, index) => {
+    if (!filter.column || !filter.operator || filter.value === undefined) {
+      return; // Skip invalid filters
+    }
+
+    // Find column definition to get type
+    const columnDef = tableColumns.find(col => col.name === filter.column);
+    const columnType = columnDef ? columnDef.type : 'string';
+    
+    // Convert filter value to appropriate type
+    const filterValue = convertFilterValue(filter.value, columnType);
+    
+    // Build MongoDB condition
+    const condition = buildMongoCondition(filter.column, filter.operator, filterValue);
+    
+    if (condition) {
+      conditions.push(condition);
+    }
+  });
+
+  if (conditions.length === 0) {
+    return {};
+  }
+
+  if (conditions.length === 1) {
+    return conditions[0];
+  }
+
+  // Handle multiple conditions with logic operators
+  // For now, we'll use AND for all conditions
+  // TODO: Implement proper logic operator handling (AND/OR)
+  return { $and: conditions };
+}
+
+function convertFilterValue(value, type) {
+  switch (type) {
+    case 'number':
+      const num = parseFloat(value);
+      return isNaN(num) ? 0 : num;
+      
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return value === 'true' || value === '1' || value === 1;
+      
+    case 'date':
+      return new Date(value);
+      
+    case 'string':
+    default:
+      return String(value);
+  }
+}
+
+function buildMongoCondition(column, operator, value) {
+  switch (operator) {
+    case 'equals':
+      return { [column]: value };
+      
+    case 'not_equals':
+      return { [column]: { $ne: value } };
+      
+    case 'greater_than':
+      return { [column]: { $gt: value } };
+      
+    case 'less_than':
+      return { [column]: { $lt: value } };
+      
+    case 'greater_equal':
+      return { [column]: { $gte: value } };
+      
+    case 'less_equal':
+      return { [column]: { $lte: value } };
+      
+    case 'contains':
+      return { [column]: { $regex: value, $options: 'i' } };
+      
+    default:
+      console.warn(`Unknown operator: ${operator}`);
+      return null;
+  }
+}
+
+module.exports = { buildMongoQuery };
@@ -0,0 +1,337 @@
+const { readRepeatingRows, renderCalculationTokens } = require('./calculationEngine');
+const { resolveBranch, applyBranch } = require('./conditionEngine');
+
+// Server-side rendering of a screen of published content to HTML. Elements
+// are rendered from their properties with {{CALC:id}} tokens evaluated,
+// conditional elements resolved to their branch, repeating containers
+// rendered once per row of their table and page containers with the embedded
+// screen. Every element carries data-element-id so the client can hydrate it
+// with the data embedded in the page (see renderDocument).
+
+// Rows rendered per repeating container
+const MAX_REPEATING_ROWS = parseInt(process.env.SSR_MAX_REPEATING_ROWS || '50', 10);
+
+// Nesting of page containers (screens embedded in screens)
+const MAX_PAGE_DEPTH = 3;
+
+// Properties rendered as inline styles; numbers are pixels for sizes
+const STYLE_PROPERTIES = {
+  color: 'color',
+  backgroundColor: 'background-color',
+  fontSize: 'font-size',
+  fontWeight: 'font-weight',
+  fontStyle: 'font-style',
+  textAlign: 'text-align',
+  lineHeight: 'line-height',
+  width: 'width',
+  height: 'height',
+  maxWidth: 'max-width',
+  minHeight: 'min-height',
+  padding: 'padding',
+  margin: 'margin',
+  gap: 'gap',
+  border: 'border',
+  borderRadius: 'border-radius',
+  display: 'display',
+  flexDirection: 'flex-direction',
+  justifyContent: 'justify-content',
+  alignItems: 'align-items',
+  opacity: 'opacity'
+};
+const UNITLESS_STYLES = ['fontWeight', 'lineHeight', 'opacity'];
+
+// Style values are limited to plain tokens and color/calc functions (no
+// url(), expressions or quotes)
+const STYLE_VALUE_PATTERN = /^[#a-zA-Z0-9.,%()\s-]+$/;
+const STYLE_FUNCTION_PATTERN = /([a-z-]+)\s*\(/gi;
+const STYLE_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'calc'];
+
+const isSafeStyleValue = (value) => STYLE_VALUE_PATTERN.test(value)
+  && [...value.matchAll(STYLE_FUNCTION_PATTERN)].every(match => STYLE_FUNCTIONS.includes(match[1].toLowerCase()));
+
+const INPUT_TYPES = ['text', 'email', 'number', 'password', 'tel', 'url', 'date', 'time', 'datetime-local', 'search', 'checkbox'];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// JSON that can be placed inside a <script> element
+const serializeJson = (value) => JSON.stringify(value)
+  .replace(/</g, '\\u003c')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+// Only http(s), relative and data:image URLs are rendered
+const safeUrl = (value) => {
+  const url = String(value || '').trim();
+  if (/^(https?:)?\/\//i.test(url) || /^data:image\/[a-z+.-]+;/i.test(url)) return url;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return '';
+  return url;
+};
+
+const styleAttribute = (properties) => {
+  const declarations = Object.keys(STYLE_PROPERTIES)
+    .filter(key => properties[key] !== undefined && properties[key] !== null && properties[key] !== '')
+    .map(key => {
+      const raw = properties[key];
+      const value = typeof raw === 'number' && !UNITLESS_STYLES.includes(key) ? `${raw}px` : String(raw).trim();
+      return isSafeStyleValue(value) ? `${STYLE_PROPERTIES[key]}:${value}` : null;
+    })
+    .filter(Boolean);
+
+  return declarations.length ? declarations.join(';') : null;
+};
+
+// ' name="value"' pairs; null/undefined/false attributes are left out
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null && value !== false)
+  .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+  .join('');
+
+const firstDefined = (properties, names) => {
+  const name = names.find(key => properties[key] !== undefined && properties[key] !== null);
+  return name ? properties[name] : '';
+};
+
+// Text of a property with calculation tokens replaced; failures are
+// collected on the render
+const renderText = async (value, state, render) => {
+  const { text, errors } = await renderCalculationTokens(String(value), state);
+  render.errors.push(...errors);
+  return text;
+};
+
+const renderElements = async (elements, state, render) => {
+  const html = [];
+  const nodes = [];
+
+  for (const element of elements || []) {
+    if (!element) continue;
+    const rendered = await renderElement(element, state, render);
+    if (rendered) {
+      html.push(rendered.html);
+      nodes.push(rendered.node);
+    }
+  }
+
+  return { html: html.join(''), nodes };
+};
+
+// Children of a repeating container, once per row. The row is the
+// container's row for calculations and conditions inside it.
+const renderRepeating = async (element, state, render) => {
+  let rows;
+  try {
+    rows = await readRepeatingRows(element, state, MAX_REPEATING_ROWS);
+  } catch (error) {
+    if (error.code !== 'calculation_error') throw error;
+    render.errors.push({ elementId: element.id, message: error.message });
+    return { html: '', items: [] };
+  }
+
+  const previous = state.rows[element.id];
+  const html = [];
+  const items = [];
+
+  for (const row of rows) {
+    state.rows[element.id] = row;
+    const children = await renderElements(element.children, state, render);
+    const rowId = row._id === undefined ? null : String(row._id);
+    html.push(`<div class="ab-repeating-item"${attributes({ 'data-row-id': rowId })}>${children.html}</div>`);
+    items.push({ rowId, children: children.nodes });
+  }
+
+  if (previous === undefined) {
+    delete state.rows[element.id];
+  } else {
+    state.rows[element.id] = previous;
+  }
+  render.rows[element.id] = rows;
+
+  return { html: html.join(''), items };
+};
+
+// Screen embedded by a page container, with the container's parameters
+const renderPage = async (element, state, render) => {
+  const config = element.pageConfig || {};
+  const screen = (state.content.screens || []).find(item => String(item.id) === String(config.selectedPageId));
+
+  if (!screen || render.pages.includes(screen.id) || render.pages.length > MAX_PAGE_DEPTH) {
+    return { html: '', nodes: [] };
+  }
+
+  const parameters = {};
+  for (const parameter of config.parameters || []) {
+    if (parameter && parameter.name) {
+      parameters[parameter.name] = await renderText(parameter.value === undefined ? '' : parameter.value, state, render);
+    }
+  }
+
+  const previous = state.parameters;
+  state.parameters = { ...previous, ...parameters };
+  render.pages.push(screen.id);
+
+  const rendered = await renderElements(screen.elements, state, render);
+
+  render.pages.pop();
+  state.parameters = previous;
+  return rendered;
+};
+
+const renderContainer = async (element, node, common, state, render) => {
+  const containerType = element.containerType || 'basic';
+  const contentType = element.contentType || 'fixed';
+  const className = `ab-container ab-container--${containerType}${contentType === 'fixed' ? '' : ` ab-container--${contentType}`}`;
+  let inner;
+
+  if (contentType === 'repeating') {
+    const { html, items } = await renderRepeating(element, state, render);
+    node.children = [];
+    node.items = items;
+    inner = html;
+  } else if (contentType === 'page') {
+    const { html, nodes } = await renderPage(element, state, render);
+    node.children = nodes;
+    inner = html;
+  } else {
+    const { html, nodes } = await renderElements(element.children, state, render);
+    node.children = nodes;
+    inner = html;
+  }
+
+  return `<div${attributes({ ...common, class: className })}>${inner}</div>`;
+};
+
+const renderElement = async (element, state, render) => {
+  let condition = null;
+
+  if (element.renderType === 'conditional') {
+    const branch = await resolveBranch(element, state);
+    if (branch.error) render.errors.push({ elementId: element.id, ...branch.error });
+    if (!branch.condition) return null;
+    condition = branch.condition;
+  }
+
+  const node = applyBranch(element, condition);
+  node.children = [];
+  const properties = node.properties || {};
+  const common = {
+    'data-element-id': element.id,
+    style: styleAttribute(properties)
+  };
+  let html;
+
+  switch (element.type) {
+    case 'container':
+      html = await renderContainer(element, node, common, state, render);
+      break;
+    case 'heading': {
+      const level = Math.min(Math.max(parseInt(properties.level, 10) || 2, 1), 6);
+      const text = await renderText(firstDefined(properties, ['value', 'text']), state, render);
+      html = `<h${level}${attributes({ ...common, class: 'ab-heading' })}>${escapeHtml(text)}</h${level}>`;
+      break;
+    }
+    case 'text': {
+      const text = await renderText(firstDefined(properties, ['value', 'text', 'content']), state, render);
+      html = `<p${attributes({ ...common, class: 'ab-text' })}>${escapeHtml(text)}</p>`;
+      break;
+    }
+    case 'button': {
+      const text = await renderText(firstDefined(properties, ['text', 'label', 'value']), state, render);
+      html = `<button${attributes({ ...common, type: 'button', class: 'ab-button', disabled: properties.disabled === true })}>${escapeHtml(text)}</button>`;
+      break;
+    }
+    case 'input': {
+      const type = INPUT_TYPES.includes(properties.inputType) ? properties.inputType : 'text';
+      const value = state.values[element.id] !== undefined ? state.values[element.id] : firstDefined(properties, ['value', 'defaultValue']);
+      const placeholder = await renderText(firstDefined(properties, ['placeholder']), state, render);
+      html = `<input${attributes({
+        ...common,
+        class: 'ab-input',
+        type,
+        name: properties.name || element.id,
+        placeholder: placeholder || null,
+        value: type === 'checkbox' ? null : String(value),
+        checked: type === 'checkbox' && value === true,
+        required: properties.required === true
+      })}>`;
+      break;
+    }
+    case 'image': {
+      const src = safeUrl(await renderText(firstDefined(properties, ['src', 'imageUrl', 'url']), state, render));
+      const alt = await renderText(firstDefined(properties, ['alt', 'altText']), state, render);
+      html = `<img${attributes({ ...common, class: 'ab-image', src: src || null, alt, loading: 'lazy' })}>`;
+      break;
+    }
+    default:
+      return null;
+  }
+
+  return { html, node };
+};
+
+// Render a screen of plain published content for an evaluation state
+// (calculationEngine.createEvaluationContext). Returns { html, hydration }:
+// the markup of the elements and the data the client needs to take over,
+// i.e. the resolved element tree (no unmatched branches), the rows of the
+// repeating containers and evaluation errors.
+const renderScreen = async (screen, state) => {
+  const render = { errors: [], rows: {}, pages: [screen.id] };
+  const { html, nodes } = await renderElements(screen.elements, state, render);
+
+  return {
+    html,
+    hydration: {
+      screen: { id: screen.id, name: screen.name, url: screen.url || '', elements: nodes },
+      parameters: state.parameters,
+      // Further rows: GET /api/apps/:id/published/containers/:elementId/rows
+      // with limit=repeatingPageSize and page=2, ...
+      rows: render.rows,
+      repeatingPageSize: MAX_REPEATING_ROWS,
+      errors: render.errors
+    }
+  };
+};
+
+// Complete HTML document for a rendered screen. `scriptUrl` is the client
+// bundle that hydrates #root from the __APP_DATA__ script.
+const renderDocument = ({ app, publication, rendered, screens, homeScreenId, scriptUrl }) => {
+  const title = rendered.hydration.screen.name && rendered.hydration.screen.name !== app.name
+    ? `${rendered.hydration.screen.name} | ${app.name}`
+    : app.name;
+
+  const data = {
+    app: {
+      id: String(app._id),
+      name: app.name,
+      subdomain: app.subdomain,
+      homeScreenId,
+      publication: { number: publication.number, version: publication.version }
+    },
+    screens,
+    ...rendered.hydration
+  };
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    app.description ? `<meta name="description" content="${escapeHtml(app.description)}">` : '',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    '</head>',
+    '<body>',
+    `<div id="root"${attributes({ 'data-app-id': String(app._id), 'data-screen-id': rendered.hydration.screen.id })}>${rendered.html}</div>`,
+    `<script type="application/json" id="__APP_DATA__">${serializeJson(data)}</script>`,
+    scriptUrl ? `<script src="${escapeHtml(scriptUrl)}" defer></script>` : '',
+    '</body>',
+    '</html>'
+  ].filter(Boolean).join('\n');
+};
+
+module.exports = { escapeHtml, renderScreen, renderDocument };
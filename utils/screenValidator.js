@@ -0,0 +1,202 @@
+const App = require('../models/App');
+
+// Validation of an app's screen tree beyond what the Mongoose schema checks
+// (children, properties and calculations are Mixed there). Errors carry a
+// JSON Pointer to the invalid node, e.g. /screens/0/elements/2/children/1/type
+
+const MAX_ELEMENT_DEPTH = parseInt(process.env.APP_MAX_ELEMENT_DEPTH || '20', 10);
+
+// Enums come from the element schema so both stay in sync
+const elementSchema = App.schema.path('screens').schema.path('elements').schema;
+const ELEMENT_TYPES = elementSchema.path('type').enumValues;
+const RENDER_TYPES = elementSchema.path('renderType').enumValues;
+const CONTENT_TYPES = elementSchema.path('contentType').enumValues;
+const CONTAINER_TYPES = elementSchema.path('containerType').enumValues;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Screen urls are compared without surrounding slashes and case-insensitively
+// ('' = no url of its own)
+const normalizeScreenUrl = (url) => String(url || '').trim().replace(/^\/+|\/+$/g, '').toLowerCase();
+
+// Validate one element and its children, pushing errors into `context.errors`
+const validateElement = (element, path, depth, context) => {
+  const { errors, elementIds, screenIds, screen } = context;
+
+  if (!isPlainObject(element)) {
+    errors.push({ path, msg: 'Element must be an object' });
+    return;
+  }
+
+  if (!isNonEmptyString(element.id)) {
+    errors.push({ path: `${path}/id`, msg: 'Element id must be a non-empty string' });
+  } else if (elementIds.has(element.id)) {
+    errors.push({ path: `${path}/id`, msg: `Element id "${element.id}" is already used at ${elementIds.get(element.id)}` });
+  } else {
+    elementIds.set(element.id, path);
+  }
+
+  if (!ELEMENT_TYPES.includes(element.type)) {
+    errors.push({ path: `${path}/type`, msg: `Element type must be one of ${ELEMENT_TYPES.join(', ')}` });
+  }
+
+  if (depth > MAX_ELEMENT_DEPTH) {
+    errors.push({ path, msg: `Elements cannot be nested deeper than ${MAX_ELEMENT_DEPTH} levels` });
+    return;
+  }
+
+  if (element.properties !== undefined && !isPlainObject(element.properties)) {
+    errors.push({ path: `${path}/properties`, msg: 'properties must be an object' });
+  }
+
+  if (element.calculations !== undefined && !isPlainObject(element.calculations)) {
+    errors.push({ path: `${path}/calculations`, msg: 'calculations must be an object' });
+  }
+
+  if (element.renderType !== undefined && !RENDER_TYPES.includes(element.renderType)) {
+    errors.push({ path: `${path}/renderType`, msg: `renderType must be one of ${RENDER_TYPES.join(', ')}` });
+  }
+
+  if (element.conditions !== undefined && !Array.isArray(element.conditions)) {
+    errors.push({ path: `${path}/conditions`, msg: 'conditions must be an array' });
+  }
+
+  const isContainer = element.type === 'container';
+  const contentType = element.contentType || 'fixed';
+  const containerType = element.containerType || 'basic';
+
+  if (!CONTENT_TYPES.includes(contentType)) {
+    errors.push({ path: `${path}/contentType`, msg: `contentType must be one of ${CONTENT_TYPES.join(', ')}` });
+  } else if (contentType !== 'fixed' && !isContainer) {
+    errors.push({ path: `${path}/contentType`, msg: `Only containers can have contentType "${contentType}"` });
+  }
+
+  if (!CONTAINER_TYPES.includes(containerType)) {
+    errors.push({ path: `${path}/containerType`, msg: `containerType must be one of ${CONTAINER_TYPES.join(', ')}` });
+  } else if (containerType !== 'basic' && !isContainer) {
+    errors.push({ path: `${path}/containerType`, msg: `Only containers can have containerType "${containerType}"` });
+  }
+
+  // Repeating containers need the table their rows come from
+  if (contentType === 'repeating') {
+    const config = element.repeatingConfig;
+    if (!isPlainObject(config)) {
+      errors.push({ path: `${path}/repeatingConfig`, msg: 'Repeating containers need a repeatingConfig' });
+    } else {
+      if (!isNonEmptyString(config.databaseId)) {
+        errors.push({ path: `${path}/repeatingConfig/databaseId`, msg: 'Repeating containers need a databaseId' });
+      }
+      if (!isNonEmptyString(config.tableId)) {
+        errors.push({ path: `${path}/repeatingConfig/tableId`, msg: 'Repeating containers need a tableId' });
+      }
+      if (config.filters !== undefined && !Array.isArray(config.filters)) {
+        errors.push({ path: `${path}/repeatingConfig/filters`, msg: 'filters must be an array' });
+      }
+    }
+  }
+
+  // Page containers embed another screen of the same app
+  if (contentType === 'page') {
+    const config = element.pageConfig;
+    const selectedPageId = isPlainObject(config) ? config.selectedPageId : null;
+    if (selectedPageId === null || selectedPageId === undefined || selectedPageId === '') {
+      errors.push({ path: `${path}/pageConfig/selectedPageId`, msg: 'Page containers need a selectedPageId' });
+    } else if (!screenIds.has(String(selectedPageId))) {
+      errors.push({ path: `${path}/pageConfig/selectedPageId`, msg: `Screen ${selectedPageId} does not exist` });
+    } else if (String(selectedPageId) === String(screen.id)) {
+      errors.push({ path: `${path}/pageConfig/selectedPageId`, msg: 'A page container cannot embed its own screen' });
+    }
+    if (isPlainObject(config) && config.parameters !== undefined && !Array.isArray(config.parameters)) {
+      errors.push({ path: `${path}/pageConfig/parameters`, msg: 'parameters must be an array' });
+    }
+  }
+
+  if (containerType === 'slider' && element.sliderConfig !== undefined) {
+    const { slidesToScroll } = element.sliderConfig || {};
+    if (slidesToScroll !== undefined && (!Number.isInteger(slidesToScroll) || slidesToScroll < 1)) {
+      errors.push({ path: `${path}/sliderConfig/slidesToScroll`, msg: 'slidesToScroll must be a positive integer' });
+    }
+  }
+
+  if (element.children === undefined || element.children === null) return;
+
+  if (!Array.isArray(element.children)) {
+    errors.push({ path: `${path}/children`, msg: 'children must be an array' });
+    return;
+  }
+
+  if (element.children.length > 0 && !isContainer) {
+    errors.push({ path: `${path}/children`, msg: 'Only containers can have children' });
+  }
+
+  element.children.forEach((child, index) => {
+    validateElement(child, `${path}/children/${index}`, depth + 1, context);
+  });
+};
+
+// Validate screens (and homeScreenId if given). Returns a list of
+// { path, msg }; empty when the tree is valid.
+const validateScreens = (screens, homeScreenId) => {
+  const errors = [];
+
+  if (!Array.isArray(screens)) {
+    return [{ path: '/screens', msg: 'screens must be an array' }];
+  }
+  if (screens.length === 0) {
+    errors.push({ path: '/screens', msg: 'An app needs at least one screen' });
+  }
+
+  const screenIds = new Set();
+  const screenUrls = new Map();
+  screens.forEach((screen, index) => {
+    const path = `/screens/${index}`;
+    if (!isPlainObject(screen)) {
+      errors.push({ path, msg: 'Screen must be an object' });
+      return;
+    }
+    if (typeof screen.id !== 'number' || !Number.isInteger(screen.id)) {
+      errors.push({ path: `${path}/id`, msg: 'Screen id must be an integer' });
+    } else if (screenIds.has(String(screen.id))) {
+      errors.push({ path: `${path}/id`, msg: `Screen id ${screen.id} is used more than once` });
+    }
+    screenIds.add(String(screen.id));
+    if (!isNonEmptyString(screen.name) || screen.name.trim().length > 50) {
+      errors.push({ path: `${path}/name`, msg: 'Screen name must be between 1 and 50 characters' });
+    }
+    if (screen.url !== undefined && screen.url !== null && typeof screen.url !== 'string') {
+      errors.push({ path: `${path}/url`, msg: 'Screen url must be a string' });
+    } else {
+      const url = normalizeScreenUrl(screen.url);
+      if (url && screenUrls.has(url)) {
+        errors.push({ path: `${path}/url`, msg: `Screen url "${url}" is already used by screen ${screenUrls.get(url)}` });
+      } else if (url) {
+        screenUrls.set(url, screen.id);
+      }
+    }
+  });
+
+  if (homeScreenId !== undefined && homeScreenId !== null && !screenIds.has(String(homeScreenId))) {
+    errors.push({ path: '/homeScreenId', msg: `Screen ${homeScreenId} does not exist` });
+  }
+
+  // Element ids are unique across the whole app, not just per screen
+  const elementIds = new Map();
+  screens.forEach((screen, index) => {
+    if (!isPlainObject(screen)) return;
+    const path = `/screens/${index}/elements`;
+    if (screen.elements === undefined) return;
+    if (!Array.isArray(screen.elements)) {
+      errors.push({ path, msg: 'elements must be an array' });
+      return;
+    }
+    screen.elements.forEach((element, elementIndex) => {
+      validateElement(element, `${path}/${elementIndex}`, 1, { errors, elementIds, screenIds, screen });
+    });
+  });
+
+  return errors;
+};
+
+module.exports = { validateScreens, normalizeScreenUrl, MAX_ELEMENT_DEPTH };
@@ -0,0 +1,130 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+  });
+};
+
+// Generate short-lived token proving the password step of a 2FA login passed.
+// It has no session id, so the auth middleware never accepts it.
+const generateChallengeToken = (id) => {
+  return jwt.sign({ id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  });
+};
+
+// Verify 2FA challenge token, returns the user id or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Get client info stored alongside a session
+const getClientInfo = (req) => {
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 500),
+    ip: req.ip || ''
+  };
+};
+
+// Create a new session and return access + refresh tokens for it
+const issueTokens = async (user, req) => {
+  const refreshToken = Session.generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    ...getClientInfo(req)
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Create a time-limited session for an admin acting as another user.
+// No refresh token is issued, so the session ends when it expires.
+const issueImpersonationToken = async (targetUser, admin, minutes, reason, req) => {
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  const session = await Session.create({
+    user: targetUser._id,
+    // Never handed out, only keeps the refresh route from matching this session
+    refreshTokenHash: Session.hashToken(Session.generateRefreshToken()),
+    expiresAt,
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+    ...getClientInfo(req)
+  });
+
+  const token = jwt.sign({ id: targetUser._id, sid: session._id, imp: admin._id }, process.env.JWT_SECRET, {
+    expiresIn: minutes * 60,
+  });
+
+  return { token, session };
+};
+
+// Exchange a refresh token for a new token pair (the refresh token rotates).
+// Returns null if the refresh token is unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = Session.hashToken(refreshToken);
+  const newRefreshToken = Session.generateRefreshToken();
+  const now = new Date();
+
+  // The hash is swapped atomically, so of two refreshes with the same token
+  // only one succeeds; the other is a replay of a rotated-out token
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: Session.hashToken(newRefreshToken),
+        expiresAt: getRefreshExpiry(),
+        lastUsedAt: now,
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token being replayed means it has leaked: kill the session
+    const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (reusedSession && reusedSession.isActive()) {
+      await reusedSession.revoke('refresh_token_reuse');
+    }
+    return null;
+  }
+
+  return {
+    token: generateToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+    session
+  };
+};
+
+module.exports = {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  issueImpersonationToken,
+  rotateRefreshToken
+};
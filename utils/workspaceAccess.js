@@ -0,0 +1,39 @@
+const Workspace = require('../models/Workspace');
+
+// Find a workspace-owned document (App, Database) and the user's role in its
+// workspace. Documents in workspaces the user is not a member of are treated
+// as not found, so their existence is not revealed.
+const findWithWorkspaceRole = async (Model, query, userId) => {
+  const doc = await Model.findOne(query);
+  if (!doc) return { doc: null, role: null };
+
+  const role = await Workspace.getUserRole(doc.workspace, userId);
+  if (!role) return { doc: null, role: null };
+
+  return { doc, role };
+};
+
+// Resolve the workspace a new app/database goes into: the requested one
+// (if the user may edit it) or the user's personal workspace.
+// Returns null if the requested workspace is not writable for the user.
+const resolveTargetWorkspace = async (workspaceId, userId) => {
+  if (!workspaceId) {
+    return Workspace.getPersonalWorkspace(userId);
+  }
+
+  const workspace = await Workspace.findById(workspaceId);
+  if (!workspace) return null;
+
+  const role = workspace.getMemberRole(userId);
+  return role && Workspace.hasRole(role, 'editor') ? workspace : null;
+};
+
+// Send 403 for a role that is too low
+const sendForbidden = (res, minRole) => {
+  return res.status(403).json({
+    success: false,
+    message: `This action requires the ${minRole} role in the workspace`
+  });
+};
+
+module.exports = { findWithWorkspaceRole, resolveTargetWorkspace, sendForbidden };